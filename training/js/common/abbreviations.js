@@ -0,0 +1,160 @@
+// Vail Training Tools - Shared Abbreviation Quiz
+// Picking, multiple choice, typed-meaning matching and per-item results for cwAbbreviations
+
+const ABBREVIATION_RESULTS_KEY = 'vailTrainingAbbreviationResults';
+
+/**
+ * Abbreviations of one type
+ * @param {string} type - 'qcode', 'abbreviation', 'phrase' or 'all'
+ * @returns {Object[]} Items from cwAbbreviations
+ */
+function getAbbreviations(type = 'all') {
+	return type === 'all' ? cwAbbreviations : cwAbbreviations.filter(item => item.type === type);
+}
+
+/**
+ * Load per-item results for one direction
+ * @param {string} direction - 'meaning' (copy the code, give the meaning) or 'sending' (the reverse)
+ * @returns {Object} Text -> { seen, correct, lastSeen }
+ */
+function loadAbbreviationResults(direction) {
+	const saved = localStorage.getItem(ABBREVIATION_RESULTS_KEY);
+	if (saved === null) return {};
+	try {
+		return JSON.parse(saved)[direction] || {};
+	} catch (err) {
+		console.log('Ignoring invalid abbreviation results:', err.message);
+		return {};
+	}
+}
+
+/**
+ * Record one answer for an item
+ * @param {string} direction - 'meaning' or 'sending'
+ * @param {string} text - Abbreviation, e.g. 'QRM'
+ * @param {boolean} correct - Whether it was answered correctly
+ */
+function recordAbbreviationResult(direction, text, correct) {
+	let all = {};
+	try {
+		all = JSON.parse(localStorage.getItem(ABBREVIATION_RESULTS_KEY)) || {};
+	} catch (err) {
+		all = {};
+	}
+	if (!all[direction]) all[direction] = {};
+	const result = all[direction][text] || { seen: 0, correct: 0, lastSeen: 0 };
+	result.seen++;
+	if (correct) result.correct++;
+	result.lastSeen = Date.now();
+	all[direction][text] = result;
+	localStorage.setItem(ABBREVIATION_RESULTS_KEY, JSON.stringify(all));
+}
+
+/**
+ * Pick the next item, weighted toward items that are often missed or unseen
+ * @param {string} direction - 'meaning' or 'sending'
+ * @param {string} type - Item type (see getAbbreviations())
+ * @param {string} exclude - Text of the previous item, to avoid repeats
+ * @returns {Object} Item from cwAbbreviations
+ */
+function pickAbbreviation(direction, type = 'all', exclude = '') {
+	const results = loadAbbreviationResults(direction);
+	let items = getAbbreviations(type).filter(item => item.text !== exclude);
+	if (items.length === 0) items = getAbbreviations(type);
+
+	// Same smoothing as the adaptive character weighting in Copy Practice
+	const weights = items.map(item => {
+		const { seen, correct } = results[item.text] || { seen: 0, correct: 0 };
+		return 1 + 4 * ((seen - correct + 1) / (seen + 5));
+	});
+	const total = weights.reduce((sum, weight) => sum + weight, 0);
+	let target = Math.random() * total;
+	for (let i = 0; i < items.length; i++) {
+		target -= weights[i];
+		if (target < 0) return items[i];
+	}
+	return items[items.length - 1];
+}
+
+/**
+ * Meanings for a multiple choice question: the right one and distinct distractors
+ * of the same type where possible, shuffled. A distractor that is one of the
+ * item's accepted meanings (TNX "Thanks" for TU) would be a second right answer,
+ * so those are skipped.
+ * @param {Object} item - The item being asked
+ * @param {number} count - Number of choices (default: 4)
+ * @returns {string[]} Meanings
+ */
+function getAbbreviationChoices(item, count = 4) {
+	const shuffle = list => {
+		for (let i = list.length - 1; i > 0; i--) {
+			const j = Math.floor(Math.random() * (i + 1));
+			[list[i], list[j]] = [list[j], list[i]];
+		}
+		return list;
+	};
+	const meanings = [item.meaning];
+	const used = new Set([item.meaning, ...item.accept].map(normalizeMeaning));
+	const sameType = shuffle(getAbbreviations(item.type).map(other => other.meaning));
+	const others = shuffle(cwAbbreviations.map(other => other.meaning));
+	for (const meaning of [...sameType, ...others]) {
+		if (meanings.length >= count) break;
+		const normalized = normalizeMeaning(meaning);
+		if (used.has(normalized)) continue;
+		used.add(normalized);
+		meanings.push(meaning);
+	}
+	return shuffle(meanings);
+}
+
+/**
+ * Lowercase, letters/numbers/spaces only, so punctuation and case don't matter
+ * @param {string} text - Meaning
+ * @returns {string} Normalized meaning
+ */
+function normalizeMeaning(text) {
+	return text.toLowerCase().replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Whether a typed meaning is close enough to the item's meaning or one of its
+ * accepted alternatives: up to a quarter of the characters may be wrong
+ * (edit distance), so small typos and spelling slips still count.
+ * @param {string} typed - Student's answer
+ * @param {Object} item - Item from cwAbbreviations
+ * @returns {boolean} True if it matches
+ */
+function isAbbreviationMeaningMatch(typed, item) {
+	const answer = normalizeMeaning(typed);
+	if (!answer) return false;
+
+	return [item.meaning, ...item.accept].some(meaning => {
+		const expected = normalizeMeaning(meaning);
+		const errors = alignText(expected, answer).filter(op => op.type !== 'match').length;
+		return errors <= Math.floor(expected.length / 4);
+	});
+}
+
+/**
+ * Summary of results for display
+ * An item counts as known after two or more answers with at least 80% correct.
+ * @param {string} direction - 'meaning' or 'sending'
+ * @param {string} type - Item type (see getAbbreviations())
+ * @returns {Object} { known, total, weakest: up to 5 texts with the lowest accuracy }
+ */
+function summarizeAbbreviationResults(direction, type = 'all') {
+	const results = loadAbbreviationResults(direction);
+	const items = getAbbreviations(type);
+	const seen = items.filter(item => results[item.text]);
+	const accuracy = item => results[item.text].correct / results[item.text].seen;
+
+	return {
+		known: seen.filter(item => results[item.text].seen >= 2 && accuracy(item) >= 0.8).length,
+		total: items.length,
+		weakest: seen
+			.filter(item => accuracy(item) < 0.8)
+			.sort((a, b) => accuracy(a) - accuracy(b))
+			.slice(0, 5)
+			.map(item => item.text)
+	};
+}
@@ -0,0 +1,118 @@
+// Vail Training Tools - Shared Text Alignment
+// Edit-distance alignment of copied text against sent text, for scoring free copy and sending drills
+
+/**
+ * Normalize text before alignment: uppercase, single spaces, trimmed
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+function normalizeCopyText(text) {
+	return text.toUpperCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Align copied text to sent text with a minimum edit distance (Levenshtein)
+ * Either argument can be an array of tokens instead, so a prosign counts as
+ * one character.
+ *
+ * With options.partial the copy is still in progress: it is aligned against
+ * the best-matching start of the sent text, and the rest of the sent text is
+ * left out instead of counted as missed (semi-global alignment).
+ * @param {string|string[]} sent - What was sent
+ * @param {string|string[]} copied - What the student copied
+ * @param {Object} options - { partial }
+ * @returns {Object[]} Operations in order: { type, sent, copied } where type is
+ *   'match', 'substitute', 'miss' (sent but not copied) or 'insert' (copied but not sent)
+ */
+function alignText(sent, copied, options = {}) {
+	const rows = sent.length + 1;
+	const width = copied.length + 1;
+
+	// Backtrace: 0 = diagonal (match/substitute), 1 = up (miss), 2 = left (insert)
+	const trace = new Uint8Array(rows * width);
+	let prev = new Uint32Array(width);
+	let curr = new Uint32Array(width);
+	let endRow = sent.length;
+	let endCost = copied.length; // Cost of aligning against none of the sent text
+	if (options.partial) endRow = 0;
+
+	for (let j = 0; j < width; j++) {
+		prev[j] = j;
+		trace[j] = 2;
+	}
+
+	for (let i = 1; i < rows; i++) {
+		curr[0] = i;
+		trace[i * width] = 1;
+		for (let j = 1; j < width; j++) {
+			const diagonal = prev[j - 1] + (sent[i - 1] === copied[j - 1] ? 0 : 1);
+			const up = prev[j] + 1;
+			const left = curr[j - 1] + 1;
+			if (diagonal <= up && diagonal <= left) {
+				curr[j] = diagonal;
+				trace[i * width + j] = 0;
+			} else if (up <= left) {
+				curr[j] = up;
+				trace[i * width + j] = 1;
+			} else {
+				curr[j] = left;
+				trace[i * width + j] = 2;
+			}
+		}
+		// On a tie, a wrong last character counts as an attempt at the next one
+		if (options.partial && curr[width - 1] <= endCost) {
+			endRow = i;
+			endCost = curr[width - 1];
+		}
+		[prev, curr] = [curr, prev];
+	}
+
+	const ops = [];
+	let i = endRow;
+	let j = copied.length;
+	while (i > 0 || j > 0) {
+		const step = trace[i * width + j];
+		if (i > 0 && j > 0 && step === 0) {
+			ops.push({
+				type: sent[i - 1] === copied[j - 1] ? 'match' : 'substitute',
+				sent: sent[i - 1],
+				copied: copied[j - 1]
+			});
+			i--;
+			j--;
+		} else if (i > 0 && (j === 0 || step === 1)) {
+			ops.push({ type: 'miss', sent: sent[i - 1], copied: '' });
+			i--;
+		} else {
+			ops.push({ type: 'insert', sent: '', copied: copied[j - 1] });
+			j--;
+		}
+	}
+
+	return ops.reverse();
+}
+
+/**
+ * Count alignment results. Spaces are left out - a missed or extra word
+ * break is not a copying error.
+ * @param {Object[]} ops - Operations from alignText()
+ * @returns {Object} matches, substitutions, misses, insertions, sent (characters)
+ *   and accuracy (% of all counted operations that were matches)
+ */
+function summarizeAlignment(ops) {
+	const summary = { matches: 0, substitutions: 0, misses: 0, insertions: 0, sent: 0, accuracy: 0 };
+	for (const op of ops) {
+		if ((op.sent || ' ') === ' ' && (op.copied || ' ') === ' ') continue;
+		if (op.sent && op.sent !== ' ') summary.sent++;
+		if (op.type === 'match') summary.matches++;
+		else if (op.type === 'substitute') summary.substitutions++;
+		else if (op.type === 'miss') summary.misses++;
+		else summary.insertions++;
+	}
+
+	const counted = summary.matches + summary.substitutions + summary.misses + summary.insertions;
+	if (counted > 0) {
+		summary.accuracy = Math.round((summary.matches / counted) * 100);
+	}
+	return summary;
+}
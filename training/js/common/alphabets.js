@@ -0,0 +1,192 @@
+// Vail Training Tools - Shared Alphabets
+// Selectable Morse alphabets (Cyrillic, Greek, Wabun, accented Latin, American Morse)
+
+const ALPHABET_KEY = 'vailTrainingAlphabet';
+
+// The International table from morse-data.js, before any alphabet is applied
+const internationalMorseCode = { ...morseCode };
+
+const latinLetters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Wabun (Japanese kana). Katakana is listed; hiragana is added below.
+const wabunCode = {
+	'イ': '.-', 'ロ': '.-.-', 'ハ': '-...', 'ニ': '-.-.', 'ホ': '-..', 'ヘ': '.',
+	'ト': '..-..', 'チ': '..-.', 'リ': '--.', 'ヌ': '....', 'ル': '-.--.', 'ヲ': '.---',
+	'ワ': '-.-', 'カ': '.-..', 'ヨ': '--', 'タ': '-.', 'レ': '---', 'ソ': '---.',
+	'ツ': '.--.', 'ネ': '--.-', 'ナ': '.-.', 'ラ': '...', 'ム': '-', 'ウ': '..-',
+	'ヰ': '.-..-', 'ノ': '..--', 'オ': '.-...', 'ク': '...-', 'ヤ': '.--', 'マ': '-..-',
+	'ケ': '-.--', 'フ': '--..', 'コ': '----', 'エ': '-.---', 'テ': '.-.--', 'ア': '--.--',
+	'サ': '-.-.-', 'キ': '-.-..', 'ユ': '-..--', 'メ': '-...-', 'ミ': '..-.-', 'シ': '--.-.',
+	'ヱ': '.--..', 'ヒ': '--..-', 'モ': '-..-.', 'セ': '.---.', 'ス': '---.-', 'ン': '.-.-.',
+	// Voiced marks, standalone and as left by splitting e.g. ガ into カ + mark
+	'゛': '..', '゜': '..--.', '゙': '..', '゚': '..--.',
+	'ー': '.--.-', '、': '.-.-.-', '」': '.-.-..', '（': '-.--.-', '）': '.-..-.',
+	// Shift into Wabun (ホレ) and back to International (ラタ)
+	'DO': '-..---', 'SN': '...-.'
+};
+for (const kana of Object.keys(wabunCode)) {
+	const code = kana.charCodeAt(0);
+	if (kana.length === 1 && code >= 0x30A1 && code <= 0x30F6) {
+		wabunCode[String.fromCharCode(code - 0x60)] = wabunCode[kana];
+	}
+}
+
+// Alphabet id -> definition
+//   letters: characters offered in drills and the character selector
+//   code: characters added to (or replacing) the International table
+//   landline: uses American Morse elements - '_' long dash (L), '=' longer
+//     dash (0) and spaces inside characters
+//   shift: prosigns that switch into and out of the alphabet in mixed text
+const morseAlphabets = {
+	international: {
+		name: 'International (Latin)',
+		letters: latinLetters,
+		code: {}
+	},
+	cyrillic: {
+		name: 'Cyrillic (Russian)',
+		letters: 'АБВГДЕЖЗИЙКЛМНОПРСТУФХЦЧШЩЪЫЬЭЮЯ',
+		code: {
+			'А': '.-', 'Б': '-...', 'В': '.--', 'Г': '--.', 'Д': '-..', 'Е': '.', 'Ё': '.',
+			'Ж': '...-', 'З': '--..', 'И': '..', 'Й': '.---', 'К': '-.-', 'Л': '.-..',
+			'М': '--', 'Н': '-.', 'О': '---', 'П': '.--.', 'Р': '.-.', 'С': '...',
+			'Т': '-', 'У': '..-', 'Ф': '..-.', 'Х': '....', 'Ц': '-.-.', 'Ч': '---.',
+			'Ш': '----', 'Щ': '--.-', 'Ъ': '--.--', 'Ы': '-.--', 'Ь': '-..-', 'Э': '..-..',
+			'Ю': '..--', 'Я': '.-.-'
+		}
+	},
+	greek: {
+		name: 'Greek',
+		letters: 'ΑΒΓΔΕΖΗΘΙΚΛΜΝΞΟΠΡΣΤΥΦΧΨΩ',
+		code: {
+			'Α': '.-', 'Β': '-...', 'Γ': '--.', 'Δ': '-..', 'Ε': '.', 'Ζ': '--..',
+			'Η': '....', 'Θ': '-.-.', 'Ι': '..', 'Κ': '-.-', 'Λ': '.-..', 'Μ': '--',
+			'Ν': '-.', 'Ξ': '-..-', 'Ο': '---', 'Π': '.--.', 'Ρ': '.-.', 'Σ': '...',
+			'Τ': '-', 'Υ': '-.--', 'Φ': '..-.', 'Χ': '----', 'Ψ': '--.-', 'Ω': '.--'
+		}
+	},
+	wabun: {
+		name: 'Japanese (Wabun)',
+		letters: 'イロハニホヘトチリヌルヲワカヨタレソツネナラムウヰノオクヤマケフコエテアサキユメミシヱヒモセスン',
+		code: wabunCode,
+		shift: { into: 'DO', out: 'SN' }
+	},
+	german: {
+		name: 'German (Ä Ö Ü ß)',
+		letters: latinLetters + 'ÄÖÜ',
+		code: { 'Ä': '.-.-', 'Ö': '---.', 'Ü': '..--', 'ß': '...--..' }
+	},
+	scandinavian: {
+		name: 'Scandinavian (Æ Ø Å)',
+		letters: latinLetters + 'ÆØÅ',
+		// Swedish Ä and Ö are sent as Æ and Ø (and decode as those), so they play in text but aren't drilled
+		code: { 'Æ': '.-.-', 'Ø': '---.', 'Å': '.--.-', 'Ä': '.-.-', 'Ö': '---.' }
+	},
+	spanish: {
+		name: 'Spanish (Ñ Á É Ó Ü ¿ ¡)',
+		letters: latinLetters + 'ÑÁÉÓÜ¿¡',
+		code: { 'Ñ': '--.--', 'Á': '.--.-', 'É': '..-..', 'Ó': '---.', 'Ü': '..--', '¿': '..-.-', '¡': '--...-' }
+	},
+	american: {
+		name: 'American Morse (landline)',
+		letters: latinLetters,
+		landline: true,
+		code: {
+			'A': '.-', 'B': '-...', 'C': '.. .', 'D': '-..', 'E': '.', 'F': '.-.',
+			'G': '--.', 'H': '....', 'I': '..', 'J': '-.-.', 'K': '-.-', 'L': '_',
+			'M': '--', 'N': '-.', 'O': '. .', 'P': '.....', 'Q': '..-.', 'R': '. ..',
+			'S': '...', 'T': '-', 'U': '..-', 'V': '...-', 'W': '.--', 'X': '.-..',
+			'Y': '.. ..', 'Z': '... .',
+			'1': '.--.', '2': '..-..', '3': '...-.', '4': '....-', '5': '---',
+			'6': '......', '7': '--..', '8': '-....', '9': '-..-', '0': '=',
+			'.': '..--..', ',': '.-.-', '?': '-..-.', '&': '. ...', '!': '---.'
+		}
+	}
+};
+
+/**
+ * Id of the selected alphabet
+ * @returns {string} Alphabet id (default: 'international')
+ */
+function getAlphabetId() {
+	const saved = localStorage.getItem(ALPHABET_KEY);
+	return saved && morseAlphabets[saved] ? saved : 'international';
+}
+
+/**
+ * Alphabet definition
+ * @param {string} id - Alphabet id (default: the selected alphabet)
+ * @returns {Object} Definition from morseAlphabets
+ */
+function getAlphabet(id = getAlphabetId()) {
+	return morseAlphabets[id] || morseAlphabets.international;
+}
+
+/**
+ * Save the selected alphabet and apply it to the morseCode table
+ * @param {string} id - Alphabet id
+ */
+function setAlphabetId(id) {
+	localStorage.setItem(ALPHABET_KEY, id);
+	applyAlphabet(id);
+}
+
+/**
+ * Rebuild morseCode from the International table plus an alphabet,
+ * so playback picks up the alphabet's characters
+ * @param {string} id - Alphabet id
+ */
+function applyAlphabet(id) {
+	for (const char of Object.keys(morseCode)) {
+		delete morseCode[char];
+	}
+	Object.assign(morseCode, internationalMorseCode, getAlphabet(id).code);
+	console.log('Morse alphabet:', getAlphabet(id).name);
+}
+
+/**
+ * Pattern -> character table for decoding
+ * The alphabet's characters win over International ones with the same
+ * pattern; American Morse is decoded on its own table.
+ * @param {string} id - Alphabet id (default: the selected alphabet)
+ * @returns {Object} Dits and dahs -> character
+ */
+function getMorseDecodeTable(id = getAlphabetId()) {
+	const alphabet = getAlphabet(id);
+	const table = {};
+	for (const [char, pattern] of Object.entries(alphabet.code)) {
+		if (char.length === 1 && !table[pattern]) table[pattern] = char;
+	}
+	return table;
+}
+
+/**
+ * Insert the alphabet's shift prosigns where mixed text changes script,
+ * e.g. Wabun text starts in kana and needs <SN> before Latin letters
+ * and <DO> to return. Text in a single script is left unchanged.
+ * @param {string[]} tokens - Tokens from tokenizeMorseText()
+ * @param {string} id - Alphabet id (default: the selected alphabet)
+ * @returns {string[]} Tokens with shift prosigns added
+ */
+function addAlphabetShifts(tokens, id = getAlphabetId()) {
+	const alphabet = getAlphabet(id);
+	if (!alphabet.shift) return tokens;
+
+	const result = [];
+	let shifted = false;
+	for (const token of tokens) {
+		const isLatin = latinLetters.includes(token.toUpperCase());
+		const isAlphabet = token.length === 1 && alphabet.code[token] !== undefined;
+		if (isLatin && !shifted) {
+			result.push(`<${alphabet.shift.out}>`);
+			shifted = true;
+		} else if (isAlphabet && shifted) {
+			result.push(`<${alphabet.shift.into}>`);
+			shifted = false;
+		}
+		result.push(token);
+	}
+	return result;
+}
+
+applyAlphabet(getAlphabetId());
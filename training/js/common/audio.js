@@ -1,8 +1,8 @@
 // Vail Training Tools - Shared Audio System
-// Web Audio API initialization, playTone, playMorseSequence
+// Web Audio setup, playTone, tone shape, vibration/flash output, playMorseSequence, band conditions
 
 let audioContext = null;
-let isPlaying = false;
+let activePlayback = null; // MorsePlayback from playMorseSequence()
 
 /**
  * Initialize or get the Web Audio API context
@@ -17,20 +17,47 @@ function initAudioContext() {
 
 /**
  * Calculate timing based on WPM (PARIS method)
- * @param {number} wpm - Words per minute
+ *
+ * When an effective speed lower than the character speed is given, the extra
+ * time is added to the spacing: Farnsworth stretches both letter and word gaps
+ * (ARRL formula), Wordsworth stretches only the word gaps.
+ *
+ * @param {number} wpm - Character speed in words per minute
+ * @param {number} effectiveWpm - Overall speed including spacing (defaults to wpm)
+ * @param {string} spacing - 'farnsworth' or 'wordsworth' (default: 'farnsworth')
  * @returns {Object} Timing values in milliseconds
  */
-function getTimingFromWPM(wpm) {
+function getTimingFromWPM(wpm, effectiveWpm = wpm, spacing = 'farnsworth') {
 	// Standard: PARIS method - dit duration in milliseconds
 	// 1 WPM = 50 dit units per minute
 	const ditDuration = 1200 / wpm; // milliseconds
-	return {
+	const timing = {
 		dit: ditDuration,
 		dah: ditDuration * 3,
 		elementGap: ditDuration,      // gap between dits/dahs in same letter
 		letterGap: ditDuration * 3,   // gap between letters
-		wordGap: ditDuration * 7      // gap between words
+		wordGap: ditDuration * 7,     // gap between words
+		// American Morse (landline) elements
+		longDash: ditDuration * 5,    // L
+		longerDash: ditDuration * 7,  // 0
+		innerSpace: ditDuration * 2   // space inside C, O, R, Y, Z and &
 	};
+
+	if (!effectiveWpm || effectiveWpm >= wpm) {
+		return timing;
+	}
+
+	if (spacing === 'wordsworth') {
+		// PARIS has 43 units of characters and letter gaps, the word gap takes up the rest
+		timing.wordGap = (60000 / effectiveWpm) - (43 * ditDuration);
+	} else {
+		// Farnsworth: total delay spread over the 19 spacing units in PARIS
+		const totalDelay = ((60 * wpm) - (37.2 * effectiveWpm)) / (wpm * effectiveWpm) * 1000;
+		timing.letterGap = (3 * totalDelay) / 19;
+		timing.wordGap = (7 * totalDelay) / 19;
+	}
+
+	return timing;
 }
 
 /**
@@ -38,80 +65,230 @@ function getTimingFromWPM(wpm) {
  * @param {number} frequency - Tone frequency (may be overridden by settings)
  * @param {number} duration - Duration in milliseconds
  * @param {number} startTime - When to start the tone (audio context time)
+ * @param {Object} options - Optional routing and pitch settings
+ * @param {BaseAudioContext} options.context - Context to play in (default: the live context,
+ *   pass an OfflineAudioContext to render to a file)
+ * @param {AudioNode} options.destination - Node to connect to (default: ctx.destination)
+ * @param {number} options.frequencyOffset - Hz added to the tone frequency
+ * @param {number} options.level - Volume multiplier (default: 1)
+ * @param {number} options.volume - Gain to use instead of the master volume
  * @returns {OscillatorNode} The oscillator node
  */
-function playTone(frequency, duration, startTime) {
-	const ctx = initAudioContext();
-	const oscillator = ctx.createOscillator();
+function playTone(frequency, duration, startTime, options = {}) {
+	const ctx = options.context || initAudioContext();
 	const gainNode = ctx.createGain();
-
-	oscillator.connect(gainNode);
-	gainNode.connect(ctx.destination);
+	gainNode.connect(options.destination || ctx.destination);
 
 	// Get volume from settings (0-100, convert to 0-1)
-	const volumeSlider = document.getElementById('masterGain');
-	const volume = volumeSlider ? (volumeSlider.value / 100) * 0.3 : 0.3; // Max 0.3 to avoid clipping
+	const baseVolume = options.volume !== undefined ? options.volume : getVolume();
+	const volume = baseVolume * (options.level !== undefined ? options.level : 1);
 
 	// Get frequency from settings
 	const toneSlider = document.getElementById('tone-freq');
 	const toneFreq = toneSlider ? parseFloat(toneSlider.value) : frequency;
 
-	oscillator.frequency.value = toneFreq;
-	oscillator.type = 'sine';
+	const toneShape = getToneShape();
+	const source = createToneSource(ctx, toneFreq + (options.frequencyOffset || 0), toneShape.waveform);
+	source.output.connect(gainNode);
 
-	// Envelope to avoid clicks (5ms attack/release)
-	const attackTime = 0.005;
-	const releaseTime = 0.005;
+	// Envelope to avoid clicks, shortened for very short tones so rise and fall don't overlap
 	const now = startTime || ctx.currentTime;
+	const end = now + (duration / 1000);
+	const rise = Math.min(toneShape.rise, (duration / 1000) * 0.45);
 
-	gainNode.gain.setValueAtTime(0, now);
-	gainNode.gain.linearRampToValueAtTime(volume, now + attackTime);
-	gainNode.gain.setValueAtTime(volume, now + (duration / 1000) - releaseTime);
-	gainNode.gain.linearRampToValueAtTime(0, now + (duration / 1000));
+	rampToneGain(gainNode.gain, 0, volume, now, rise, toneShape.shape);
+	rampToneGain(gainNode.gain, volume, 0, end - rise, rise, toneShape.shape);
 
-	oscillator.start(now);
-	oscillator.stop(now + (duration / 1000));
+	source.oscillator.start(now);
+	source.oscillator.stop(end);
 
-	return oscillator;
+	return source.oscillator;
 }
 
 /**
- * Play Morse code sequence
- * @param {string} text - Text to play as morse code
- * @param {number} wpm - Speed in words per minute
- * @param {string} lampSelector - CSS selector for the lamp indicator (default: '.recv-lamp')
- * @returns {number} Total duration of the sequence in milliseconds
+ * Tone shape from settings, shared by received audio and the sidetone
+ * @returns {Object} rise (seconds), shape ('linear', 'cosine' or 'exponential')
+ *   and waveform ('sine' or 'square')
+ */
+function getToneShape() {
+	const riseSlider = document.getElementById('tone-rise');
+	const shapeSelect = document.getElementById('tone-shape');
+	const waveformSelect = document.getElementById('tone-waveform');
+	return {
+		rise: riseSlider ? parseFloat(riseSlider.value) / 1000 : 0.005,
+		shape: shapeSelect ? shapeSelect.value : 'linear',
+		waveform: waveformSelect ? waveformSelect.value : 'sine'
+	};
+}
+
+/**
+ * Output mode from settings, for learners who copy by feel or sight
+ * @returns {Object} { sound, vibrate, flash } - which outputs are on
  */
-async function playMorseSequence(text, wpm, lampSelector = '.recv-lamp') {
-	if (isPlaying) {
-		console.log('Already playing, skipping...');
-		return 0;
+function getOutputMode() {
+	const select = document.getElementById('output-mode');
+	const mode = select ? select.value : 'sound';
+	return {
+		sound: mode.startsWith('sound'),
+		vibrate: mode.includes('vibrate') && 'vibrate' in navigator,
+		flash: mode.includes('flash')
+	};
+}
+
+/**
+ * Full-screen panel that lights up with each tone (created on first use)
+ * @returns {HTMLElement} The panel
+ */
+function getFlashPanel() {
+	let panel = document.getElementById('flash-panel');
+	if (!panel) {
+		panel = document.createElement('div');
+		panel.id = 'flash-panel';
+		document.body.appendChild(panel);
 	}
-	isPlaying = true;
+	return panel;
+}
 
-	const ctx = initAudioContext();
-	const timing = getTimingFromWPM(wpm);
-	let currentTime = ctx.currentTime;
+/**
+ * Turn the non-audio outputs on or off for a tone of unknown length (a key
+ * press). Played sequences use vibrateTones() for exact timing instead.
+ * @param {boolean} on - Tone starting (true) or ending (false)
+ * @param {Object} output - From getOutputMode()
+ */
+function setSignalOutput(on, output = getOutputMode()) {
+	if (output.flash) getFlashPanel().classList.toggle('active', on);
+	// Vibrate "until further notice" while the key is down
+	if (output.vibrate) navigator.vibrate(on ? 60000 : 0);
+}
 
-	const lamp = document.querySelector(lampSelector);
-	if (lamp) lamp.classList.add('active');
+/**
+ * Vibrate a pattern timed like the audio
+ * @param {Object[]} tones - Tones from buildMorseSchedule()
+ * @param {number} offset - Seconds from the start of the tones to begin at
+ */
+function vibrateTones(tones, offset = 0) {
+	// A pattern alternates vibrate and pause, starting with vibrate
+	const pattern = [0];
+	let time = offset;
+	for (const tone of tones) {
+		if (tone.start < offset) continue;
+		pattern.push(Math.round((tone.start - time) * 1000), Math.round(tone.duration));
+		time = tone.start + tone.duration / 1000;
+	}
+	if (pattern.length > 1) navigator.vibrate(pattern);
+}
 
-	// Convert text to morse and play
-	for (let i = 0; i < text.length; i++) {
-		const char = text[i].toUpperCase();
+/**
+ * Create an oscillator for a tone
+ * A square wave goes through a low-pass filter that keeps the first few
+ * harmonics, for a harsher "radio" sound without buzzing.
+ * @param {BaseAudioContext} ctx - Audio context
+ * @param {number} frequency - Tone frequency
+ * @param {string} waveform - 'sine' or 'square'
+ * @returns {Object} { oscillator (start/stop this), output (connect this) }
+ */
+function createToneSource(ctx, frequency, waveform = 'sine') {
+	const oscillator = ctx.createOscillator();
+	oscillator.frequency.value = frequency;
+
+	if (waveform !== 'square') {
+		oscillator.type = 'sine';
+		return { oscillator: oscillator, output: oscillator };
+	}
+
+	oscillator.type = 'square';
+	const filter = ctx.createBiquadFilter();
+	filter.type = 'lowpass';
+	filter.frequency.value = frequency * 4;
+	filter.Q.value = 0.7;
+	oscillator.connect(filter);
+	return { oscillator: oscillator, output: filter };
+}
+
+/**
+ * Ramp a gain from one level to another
+ *   linear:      straight line (the original 5 ms ramp)
+ *   cosine:      raised cosine, the softest edges for the least key click
+ *   exponential: fast start that eases into the new level, like an RC-shaped keying line
+ * @param {AudioParam} param - Gain to ramp
+ * @param {number} from - Starting level
+ * @param {number} to - Final level
+ * @param {number} startTime - Audio context time to start the ramp
+ * @param {number} duration - Ramp time in seconds
+ * @param {string} shape - 'linear', 'cosine' or 'exponential'
+ */
+function rampToneGain(param, from, to, startTime, duration, shape = 'linear') {
+	if (shape === 'linear' || duration <= 0) {
+		param.setValueAtTime(from, startTime);
+		param.linearRampToValueAtTime(to, startTime + duration);
+		return;
+	}
+
+	const points = 32;
+	const curve = new Float32Array(points);
+	for (let i = 0; i < points; i++) {
+		const x = i / (points - 1);
+		const progress = shape === 'cosine'
+			? (1 - Math.cos(Math.PI * x)) / 2
+			: (1 - Math.exp(-5 * x)) / (1 - Math.exp(-5));
+		curve[i] = from + (to - from) * progress;
+	}
+	param.setValueCurveAtTime(curve, startTime, duration);
+}
+
+/**
+ * Master volume from settings (0-100 slider, max 0.3 to avoid clipping)
+ * @returns {number} Gain value
+ */
+function getVolume() {
+	const volumeSlider = document.getElementById('masterGain');
+	return volumeSlider ? (volumeSlider.value / 100) * 0.3 : 0.3;
+}
 
-		if (char === ' ') {
+/**
+ * Work out when each tone of a text starts and how long it lasts
+ * Shared by live playback and offline rendering so both have the same timing.
+ * @param {string} text - Text to play as morse code (prosigns as <AR>), in the selected alphabet
+ * @param {Object} timing - Timing from getTimingFromWPM()
+ * @param {number} startTime - Time in seconds to start at
+ * @param {number} stopTime - Don't start characters after this time (default: no limit)
+ * @returns {Object} tones: [{ start (seconds), duration (ms) }], characters: [{ token,
+ *   start, end (seconds) }] and endTime (seconds)
+ */
+function buildMorseSchedule(text, timing, startTime = 0, stopTime = Infinity) {
+	const tokens = addAlphabetShifts(tokenizeMorseText(text));
+	const elementDurations = {
+		'.': timing.dit,
+		'-': timing.dah,
+		'_': timing.longDash,
+		'=': timing.longerDash
+	};
+	const tones = [];
+	const characters = [];
+	let currentTime = startTime;
+
+	for (let i = 0; i < tokens.length; i++) {
+		const morse = getTokenMorse(tokens[i]);
+
+		if (tokens[i] === ' ') {
 			// Word space
 			currentTime += timing.wordGap / 1000;
-		} else if (morseCode[char]) {
-			const morse = morseCode[char];
+		} else if (morse) {
+			if (currentTime >= stopTime) break;
+			const character = { token: tokens[i], start: currentTime, end: currentTime };
 
 			// Play each dit/dah
 			for (let j = 0; j < morse.length; j++) {
 				const element = morse[j];
-				const duration = element === '.' ? timing.dit : timing.dah;
 
-				playTone(600, duration, currentTime);
+				if (element === ' ') {
+					// Landline space inside a character (replaces the element gap)
+					currentTime += (timing.innerSpace - timing.elementGap) / 1000;
+					continue;
+				}
+
+				const duration = elementDurations[element];
+				tones.push({ start: currentTime, duration: duration });
 				currentTime += duration / 1000;
 
 				// Add element gap (except after last element)
@@ -120,19 +297,343 @@ async function playMorseSequence(text, wpm, lampSelector = '.recv-lamp') {
 				}
 			}
 
+			character.end = currentTime;
+			characters.push(character);
+
 			// Add letter gap (except after last letter)
-			if (i < text.length - 1 && text[i + 1] !== ' ') {
+			if (i < tokens.length - 1 && tokens[i + 1] !== ' ') {
 				currentTime += timing.letterGap / 1000;
 			}
 		}
 	}
 
-	// Calculate total duration and turn off lamp when done
-	const totalDuration = (currentTime - ctx.currentTime) * 1000;
-	setTimeout(() => {
-		isPlaying = false;
-		if (lamp) lamp.classList.remove('active');
-	}, totalDuration);
+	return { tones: tones, characters: characters, endTime: currentTime };
+}
+
+/**
+ * Schedule the tones for a text
+ * @param {string} text - Text to play as morse code (prosigns as <AR>), in the selected alphabet
+ * @param {Object} timing - Timing from getTimingFromWPM()
+ * @param {number} startTime - Audio context time to start at
+ * @param {Object|null} toneOptions - Options passed to playTone(), or null to only measure
+ * @param {number} stopTime - Don't start characters after this time (default: no limit)
+ * @returns {number} Audio context time when the last tone ends
+ */
+function scheduleMorseText(text, timing, startTime, toneOptions = {}, stopTime = Infinity) {
+	const schedule = buildMorseSchedule(text, timing, startTime, stopTime);
+	if (toneOptions) {
+		for (const tone of schedule.tones) {
+			playTone(600, tone.duration, tone.start, toneOptions);
+		}
+	}
+	return schedule.endTime;
+}
 
-	return totalDuration;
+/**
+ * Length of a text in seconds, without playing it
+ * @param {string} text - Text to measure
+ * @param {Object} timing - Timing from getTimingFromWPM()
+ * @returns {number} Duration in seconds
+ */
+function measureMorseText(text, timing) {
+	return buildMorseSchedule(text, timing).endTime;
+}
+
+/**
+ * Add band conditions around a sequence: noise, fading (QSB), an interfering
+ * signal (QRM) and a random pitch offset for the wanted signal.
+ * Fading follows the same curve as the QSO simulator:
+ *   level(t) = 1 - depth * (sin(2π * rate * t + phase) + 1) / 2
+ *
+ * @param {Object} conditions - Levels from 0 to 1 (noise, qsbDepth, qrm), qsbRate (Hz),
+ *   qrmOffset and pitchVariation (Hz)
+ * @param {number} startTime - Audio context time the sequence starts
+ * @param {number} duration - Length of the sequence in seconds
+ * @param {number} wpm - Speed of the wanted signal (QRM is sent at a similar speed)
+ * @param {Object} output - Where to play (default: the live context at the master volume)
+ * @param {BaseAudioContext} output.context - Context to play in, e.g. an OfflineAudioContext
+ * @param {AudioNode} output.destination - Node to connect to (default: ctx.destination)
+ * @param {number} output.volume - Level of the wanted signal, noise and QRM follow it
+ * @returns {Object} playTone() options for the wanted signal
+ */
+function applyBandConditions(conditions, startTime, duration, wpm, output = {}) {
+	const ctx = output.context || initAudioContext();
+	const volume = output.volume !== undefined ? output.volume : getVolume();
+	const destination = output.destination || ctx.destination;
+	const endTime = startTime + duration;
+	const toneSlider = document.getElementById('tone-freq');
+	const toneFreq = toneSlider ? parseFloat(toneSlider.value) : 600;
+	const toneOptions = { ...output };
+
+	// Slight pitch change per item, like tuning to different stations
+	if (conditions.pitchVariation > 0) {
+		toneOptions.frequencyOffset = (Math.random() * 2 - 1) * conditions.pitchVariation;
+	}
+
+	// QSB: route the wanted signal through a gain that follows the fading curve
+	if (conditions.qsbDepth > 0 && duration > 0) {
+		const qsbGain = ctx.createGain();
+		qsbGain.connect(destination);
+		const phase = Math.random() * 2 * Math.PI;
+		const points = Math.max(2, Math.ceil(duration * 50));
+		const curve = new Float32Array(points);
+		for (let i = 0; i < points; i++) {
+			const t = (i / (points - 1)) * duration;
+			curve[i] = 1 - conditions.qsbDepth * ((Math.sin(2 * Math.PI * conditions.qsbRate * t + phase) + 1) / 2);
+		}
+		qsbGain.gain.setValueCurveAtTime(curve, startTime, duration);
+		toneOptions.destination = qsbGain;
+	}
+
+	// Band noise: white noise through a receiver-width bandpass filter
+	if (conditions.noise > 0) {
+		const bufferLength = ctx.sampleRate * 2;
+		const buffer = ctx.createBuffer(1, bufferLength, ctx.sampleRate);
+		const data = buffer.getChannelData(0);
+		for (let i = 0; i < bufferLength; i++) {
+			data[i] = Math.random() * 2 - 1;
+		}
+
+		const noise = ctx.createBufferSource();
+		noise.buffer = buffer;
+		noise.loop = true;
+
+		const filter = ctx.createBiquadFilter();
+		filter.type = 'bandpass';
+		filter.frequency.value = toneFreq;
+		filter.Q.value = 1.2;
+
+		const noiseGain = ctx.createGain();
+		const level = volume * conditions.noise * 3;
+		noiseGain.gain.setValueAtTime(0, startTime);
+		noiseGain.gain.linearRampToValueAtTime(level, startTime + 0.05);
+		noiseGain.gain.setValueAtTime(level, endTime + 0.2);
+		noiseGain.gain.linearRampToValueAtTime(0, endTime + 0.3);
+
+		noise.connect(filter);
+		filter.connect(noiseGain);
+		noiseGain.connect(destination);
+		noise.start(startTime);
+		noise.stop(endTime + 0.3);
+	}
+
+	// QRM: another station sending random words nearby
+	if (conditions.qrm > 0) {
+		const qrmWpm = Math.max(5, Math.round(wpm * (0.8 + Math.random() * 0.4)));
+		const words = [];
+		for (let i = 0; i < 20; i++) {
+			words.push(commonWords[Math.floor(Math.random() * commonWords.length)]);
+		}
+		const side = Math.random() < 0.5 ? -1 : 1;
+		scheduleMorseText(words.join(' '), getTimingFromWPM(qrmWpm), startTime + Math.random() * 0.3, {
+			...output,
+			frequencyOffset: side * conditions.qrmOffset,
+			level: conditions.qrm
+		}, endTime);
+	}
+
+	return toneOptions;
+}
+
+/**
+ * A sequence started by playMorseSequence()
+ *
+ * Tones are scheduled a short time ahead while it plays instead of all at
+ * once, and everything goes through one gain node, so stop() and pause()
+ * silence the audio right away. The lamp lights with each dit and dah, and
+ * the output mode can swap or add vibration and a flashing panel.
+ *
+ * Events:
+ *   'progress' - detail: { elapsed, duration } in milliseconds
+ *   'pause', 'resume'
+ *   'end'      - detail: { completed } (false when stopped)
+ */
+class MorsePlayback extends EventTarget {
+	/**
+	 * @param {Object[]} tones - Tones from buildMorseSchedule(), starting at 0
+	 * @param {number} duration - Length in seconds
+	 * @param {Object} options - wpm, lamp (element or null) and conditions
+	 */
+	constructor(tones, duration, options) {
+		super();
+		this.tones = tones;
+		this.duration = duration * 1000; // milliseconds
+		this.wpm = options.wpm;
+		this.lamp = options.lamp;
+		this.conditions = options.conditions || null;
+		this.state = 'playing'; // 'playing', 'paused' or 'ended'
+		this.elapsed = 0;       // seconds played when paused
+		this.nextTone = 0;
+		this.output = null;
+		this.toneOptions = {};
+		this.timer = null;
+		this.outputMode = getOutputMode();
+		this.lampTimers = [];
+		this.finished = new Promise(resolve => {
+			this._resolveFinished = resolve;
+		});
+
+		this._start(0);
+	}
+
+	/**
+	 * Start (or restart after a pause) from a position in the sequence
+	 * @param {number} offset - Seconds already played
+	 */
+	_start(offset) {
+		const ctx = initAudioContext();
+		this.output = ctx.createGain();
+		this.output.connect(ctx.destination);
+		this.startTime = ctx.currentTime - offset;
+
+		// Conditions need the remaining length up front. Keep the pitch offset
+		// from the first start so a resumed item doesn't jump in pitch.
+		const frequencyOffset = this.toneOptions.frequencyOffset;
+		this.toneOptions = { destination: this.output };
+		if (this.conditions && this.outputMode.sound) {
+			const remaining = this.duration / 1000 - offset;
+			this.toneOptions = applyBandConditions(this.conditions, ctx.currentTime, remaining, this.wpm, { destination: this.output });
+			if (frequencyOffset !== undefined) this.toneOptions.frequencyOffset = frequencyOffset;
+		}
+
+		if (this.outputMode.vibrate) vibrateTones(this.tones, offset);
+		this._tick();
+		this.timer = setInterval(() => this._tick(), MorsePlayback.INTERVAL);
+	}
+
+	/**
+	 * Schedule the tones that start within the lookahead window and report progress
+	 */
+	_tick() {
+		const now = initAudioContext().currentTime;
+		while (this.nextTone < this.tones.length &&
+			this.startTime + this.tones[this.nextTone].start < now + MorsePlayback.LOOKAHEAD) {
+			const tone = this.tones[this.nextTone++];
+			const start = Math.max(now, this.startTime + tone.start);
+			if (this.outputMode.sound) playTone(600, tone.duration, start, this.toneOptions);
+			this._flashLamp((start - now) * 1000, tone.duration);
+		}
+
+		const elapsed = Math.min(this.duration, (now - this.startTime) * 1000);
+		this.dispatchEvent(new CustomEvent('progress', { detail: { elapsed: elapsed, duration: this.duration } }));
+		if (elapsed >= this.duration) this._finish(true);
+	}
+
+	/**
+	 * Light the lamp (and the flash panel in flash mode) for one tone
+	 * @param {number} delay - Milliseconds until the tone starts
+	 * @param {number} duration - Length of the tone in milliseconds
+	 */
+	_flashLamp(delay, duration) {
+		const lights = [];
+		if (this.lamp) lights.push(this.lamp);
+		if (this.outputMode.flash) lights.push(getFlashPanel());
+		if (lights.length === 0) return;
+		this.lampTimers.push(
+			setTimeout(() => lights.forEach(light => light.classList.add('active')), delay),
+			setTimeout(() => lights.forEach(light => light.classList.remove('active')), delay + duration)
+		);
+	}
+
+	/**
+	 * Fade out whatever is playing and stop scheduling
+	 */
+	_silence() {
+		clearInterval(this.timer);
+		this.timer = null;
+		this.lampTimers.forEach(clearTimeout);
+		this.lampTimers = [];
+		if (this.lamp) this.lamp.classList.remove('active');
+		if (this.outputMode.flash) getFlashPanel().classList.remove('active');
+		if (this.outputMode.vibrate) navigator.vibrate(0);
+
+		const output = this.output;
+		const now = initAudioContext().currentTime;
+		output.gain.setValueAtTime(1, now);
+		output.gain.linearRampToValueAtTime(0, now + 0.01);
+		setTimeout(() => output.disconnect(), 50);
+	}
+
+	_finish(completed) {
+		clearInterval(this.timer);
+		this.timer = null;
+		if (this.lamp) this.lamp.classList.remove('active');
+		this.state = 'ended';
+		if (activePlayback === this) activePlayback = null;
+		this._resolveFinished(completed);
+		this.dispatchEvent(new CustomEvent('end', { detail: { completed: completed } }));
+	}
+
+	/**
+	 * Stop now. `finished` resolves to false.
+	 */
+	stop() {
+		if (this.state === 'ended') return;
+		if (this.state === 'playing') this._silence();
+		this._finish(false);
+	}
+
+	/**
+	 * Pause, to carry on from the next tone with resume()
+	 */
+	pause() {
+		if (this.state !== 'playing') return;
+		this.elapsed = Math.min(this.duration / 1000, initAudioContext().currentTime - this.startTime);
+		this._silence();
+
+		// The tone that was cut off and any scheduled ahead are played again on
+		// resume, which carries on from the start of the cut-off tone
+		this.nextTone = this.tones.findIndex(tone => tone.start + tone.duration / 1000 > this.elapsed);
+		if (this.nextTone < 0) {
+			this.nextTone = this.tones.length;
+		} else {
+			this.elapsed = Math.min(this.elapsed, this.tones[this.nextTone].start);
+		}
+		this.state = 'paused';
+		this.dispatchEvent(new CustomEvent('pause'));
+	}
+
+	resume() {
+		if (this.state !== 'paused') return;
+		this.state = 'playing';
+		this._start(this.elapsed);
+		this.dispatchEvent(new CustomEvent('resume'));
+	}
+}
+
+MorsePlayback.LOOKAHEAD = 0.2; // seconds of tones scheduled ahead
+MorsePlayback.INTERVAL = 50;   // milliseconds between scheduler runs
+
+/**
+ * Play Morse code sequence
+ * Starting a new sequence stops the one that is playing.
+ * @param {string} text - Text to play as morse code (prosigns as <AR>)
+ * @param {number} wpm - Speed in words per minute
+ * @param {string} lampSelector - CSS selector for the lamp indicator (default: '.recv-lamp')
+ * @param {Object} options - Optional spacing and band condition settings
+ * @param {number} options.effectiveWpm - Effective speed for Farnsworth/Wordsworth spacing
+ * @param {string} options.spacing - 'farnsworth' or 'wordsworth'
+ * @param {Object} options.conditions - Band conditions (see applyBandConditions())
+ * @returns {MorsePlayback} Handle with stop(), pause(), resume(), progress/end events,
+ *   a `finished` promise (true if it played to the end) and `duration` in milliseconds
+ */
+function playMorseSequence(text, wpm, lampSelector = '.recv-lamp', options = {}) {
+	if (activePlayback) activePlayback.stop();
+
+	const timing = getTimingFromWPM(wpm, options.effectiveWpm, options.spacing);
+	const schedule = buildMorseSchedule(text, timing);
+
+	activePlayback = new MorsePlayback(schedule.tones, schedule.endTime, {
+		wpm: wpm,
+		lamp: document.querySelector(lampSelector),
+		conditions: options.conditions
+	});
+	return activePlayback;
+}
+
+/**
+ * Stop the sequence that is playing, if any
+ */
+function stopMorseSequence() {
+	if (activePlayback) activePlayback.stop();
 }
@@ -0,0 +1,290 @@
+// Vail Training Tools - Shared Callsign Generator
+// Worldwide callsigns with region weighting, portable/prefixed forms and a hard mode
+
+const CALLSIGN_SETTINGS_KEY = 'vailTrainingCallsignSettings';
+
+// Callsign patterns: '#' digit, '?' any letter, '[ABC]' one of the letters,
+// '@' suffix letters (1-3, up to 4 in hard mode). Any other character is literal.
+// hard: unusual structures and numbers in odd places, only used in hard mode
+const callsignRegions = {
+	us: {
+		name: 'United States',
+		// 1x1-1x3 calls are more common than 2x1-2x3
+		patterns: ['W#@', 'W#@', 'K#@', 'K#@', 'N#@', 'N#@', 'W?#@', 'K?#@', 'N?#@', 'A[ABCDEFGHIJKL]#@'],
+		hard: ['KH6@', 'KL7@', 'KP4@', 'NH#@', 'WP#@', 'K#?', 'W#?']
+	},
+	americas: {
+		name: 'Canada & Latin America',
+		patterns: ['VE#@', 'VA#@', 'VY#@', 'XE#@', 'LU#@', 'PY#@', 'PU#@', 'CE#@', 'CX#@', 'HK#@', 'OA#@', 'YV#@', 'TI#@', 'HP#@'],
+		hard: ['CE0Y@', 'PY0F@', 'VO1@', 'VY0@', 'XE#?', 'LU#DZ@', 'HC8@', 'CA#@']
+	},
+	caribbean: {
+		name: 'Caribbean',
+		patterns: ['VP2E@', 'VP2M@', 'VP5@', 'J3#@', 'J6#@', 'J7#@', '8P#@', '9Y4@', 'HI#@', 'FM5@', 'PJ2@', 'V3#@', 'ZF#@', 'C6A@', 'KP2@', '6Y5@'],
+		hard: ['PJ4@', 'FS4@', 'FJ5@', 'V26@', 'VP9@', 'HH2@', 'J88@', 'TO#?']
+	},
+	europe: {
+		name: 'Europe',
+		patterns: ['G#@', 'M#@', 'F#@', 'DL#@', 'DJ#@', 'DK#@', 'I#@', 'IK#@', 'EA#@', 'ON#@', 'PA#@', 'OH#@', 'SM#@', 'LA#@', 'OZ#@',
+			'SP#@', 'OK#@', 'OM#@', 'HA#@', 'YO#@', 'LZ#@', '9A#@', 'S5#@', 'YU#@', 'UA#@', 'UR#@', 'EI#@', 'GM#@', 'GW#@', 'CT#@', 'HB9@', 'OE#@', 'SV#@'],
+		hard: ['2E0@', '2E1@', 'M0@', 'GB##@', 'DL##@', 'TM#@', 'OH0@', 'OJ0@', 'S5#?', '9H1@', '5B4@', 'OY#@', 'TF#@', 'SV9@', 'IS0@', 'EA6@', 'HB0@', 'T7#@', '4U1ITU']
+	},
+	asia: {
+		name: 'Asia',
+		patterns: ['JA#@', 'JH#@', 'JR#@', 'JE#@', 'BY#@', 'BV#@', 'HL#@', 'DS#@', 'VU#@', '4X#@', '4Z#@', 'HS#@', 'DU#@', 'YB#@', 'UA9@', 'UN#@', 'TA#@', '9M2@'],
+		hard: ['A6#@', 'A7#@', 'A9#@', '9K2@', '9M6@', '9V1@', 'EY8@', 'EX8@', 'JD1@', 'BY#?', 'VR2@', 'XV#@', '4S7@', 'AP2@', 'HZ1@', 'R9#@']
+	},
+	africa: {
+		name: 'Africa',
+		patterns: ['ZS#@', '5H#@', '5Z4@', 'CN8@', 'SU#@', '9J2@', 'EA9@', 'EA8@', '6W#@', 'TU5@', '7X#@', 'V51@'],
+		hard: ['3B8@', '3B9@', 'D2#@', 'D4C', '5R8@', 'S79@', 'ZD8@', 'ZS8@', 'J28@', 'TJ#@', '3V8@', '9G1@', 'C5#@', 'E3#@']
+	},
+	oceania: {
+		name: 'Oceania',
+		patterns: ['VK#@', 'ZL#@', 'KH6@', 'KH2@', 'FK8@', 'P29@', '3D2@', 'E51@', 'T88@', 'YJ0@', 'A35@'],
+		hard: ['VK9@', 'VK0@', 'ZL7@', 'ZL9@', 'E6@', 'T30@', 'T32@', 'FO#@', 'H44@', '3D2?', 'KH8@', 'V6#@', 'V73@', 'ZK3@']
+	}
+};
+
+// Suffixes for portable, mobile and other special operation
+const callsignOperationSuffixes = ['/P', '/M', '/MM', '/QRP', '/AM', '/#'];
+
+const callsignDefaults = {
+	difficulty: 'normal', // 'easy' (no slashes or unusual calls), 'normal' or 'hard'
+	portable: 10,         // % of calls with a /P, /M, /MM, /QRP, /AM or /district suffix
+	prefixed: 5,          // % of calls operated abroad (F/G3ABC)
+	weights: { us: 6, americas: 2, caribbean: 1, europe: 4, asia: 2, africa: 1, oceania: 1 }
+};
+
+/**
+ * Load callsign settings, filling in defaults
+ * @returns {Object} Settings (see callsignDefaults)
+ */
+function loadCallsignSettings() {
+	const settings = { ...callsignDefaults, weights: { ...callsignDefaults.weights } };
+	const saved = localStorage.getItem(CALLSIGN_SETTINGS_KEY);
+	if (saved === null) return settings;
+	try {
+		const parsed = JSON.parse(saved);
+		return { ...settings, ...parsed, weights: { ...settings.weights, ...parsed.weights } };
+	} catch (err) {
+		console.log('Ignoring invalid callsign settings:', err.message);
+		return settings;
+	}
+}
+
+/**
+ * Save callsign settings
+ * @param {Object} settings - Settings (see callsignDefaults)
+ */
+function saveCallsignSettings(settings) {
+	localStorage.setItem(CALLSIGN_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Random item from an array or string
+ * @param {Array|string} items - Items
+ * @returns {*} Item
+ */
+function pickRandomItem(items) {
+	return items[Math.floor(Math.random() * items.length)];
+}
+
+/**
+ * Fill in a callsign pattern
+ * @param {string} pattern - Pattern (see callsignRegions)
+ * @param {boolean} hard - Allow 4 letter suffixes
+ * @returns {string} Callsign
+ */
+function expandCallsignPattern(pattern, hard = false) {
+	const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+	let call = '';
+	for (let i = 0; i < pattern.length; i++) {
+		const char = pattern[i];
+		if (char === '#') {
+			call += Math.floor(Math.random() * 10);
+		} else if (char === '?') {
+			call += pickRandomItem(letters);
+		} else if (char === '[') {
+			const end = pattern.indexOf(']', i);
+			call += pickRandomItem(pattern.slice(i + 1, end));
+			i = end;
+		} else if (char === '@') {
+			// Weight toward 2-3 letter suffixes as they're more common
+			const rand = Math.random();
+			let suffixLength;
+			if (rand < 0.2) suffixLength = 1;
+			else if (rand < 0.6) suffixLength = 2;
+			else if (!hard || rand < 0.9) suffixLength = 3;
+			else suffixLength = 4;
+			for (let j = 0; j < suffixLength; j++) {
+				call += pickRandomItem(letters);
+			}
+		} else {
+			call += char;
+		}
+	}
+	return call;
+}
+
+/**
+ * Prefix for operating from a region, e.g. 'F' from 'F#@' or 'VP2E' from 'VP2E@'
+ * @param {string} regionId - Region to operate from
+ * @returns {string} Prefix
+ */
+function getOperatingPrefix(regionId) {
+	const pattern = pickRandomItem(callsignRegions[regionId].patterns);
+	return pattern.split(/[#@?[]/)[0];
+}
+
+/**
+ * Pick a region by weight
+ * @param {Object} weights - Region id -> weight
+ * @returns {string} Region id
+ */
+function pickCallsignRegion(weights) {
+	const ids = Object.keys(callsignRegions).filter(id => (weights[id] || 0) > 0);
+	if (ids.length === 0) return 'us';
+	const total = ids.reduce((sum, id) => sum + weights[id], 0);
+	let target = Math.random() * total;
+	for (const id of ids) {
+		target -= weights[id];
+		if (target < 0) return id;
+	}
+	return ids[ids.length - 1];
+}
+
+/**
+ * Generate a realistic amateur radio callsign
+ * Uses the saved region weights, portable/prefixed probabilities and difficulty.
+ * @param {Object} options - Optional overrides
+ * @param {string} options.allowed - Only use these characters (e.g. a CW Academy session)
+ * @param {boolean} options.plain - No slashed forms (for templates that add their own)
+ * @param {Object} options.settings - Settings to use instead of the saved ones
+ * @returns {string|null} Generated callsign, or null if the allowed characters can't make one
+ */
+function generateCallsign(options = {}) {
+	if (options.allowed) return generateConstrainedCallsign(options.allowed);
+
+	const settings = options.settings || loadCallsignSettings();
+	const hard = settings.difficulty === 'hard';
+	const regionId = pickCallsignRegion(settings.weights);
+	const region = callsignRegions[regionId];
+
+	// Hard mode mixes in unusual calls
+	const patterns = hard && Math.random() < 0.4 ? region.hard : region.patterns;
+	let call = expandCallsignPattern(pickRandomItem(patterns), hard);
+
+	if (options.plain || settings.difficulty === 'easy' || call.includes('/')) {
+		return call;
+	}
+
+	// Hard mode doubles the chance of slashed forms
+	const scale = hard ? 2 : 1;
+	if (Math.random() * 100 < settings.prefixed * scale) {
+		const abroad = Object.keys(callsignRegions).filter(id => id !== regionId);
+		call = `${getOperatingPrefix(pickRandomItem(abroad))}/${call}`;
+	}
+	if (Math.random() * 100 < settings.portable * scale) {
+		call += expandCallsignPattern(pickRandomItem(callsignOperationSuffixes));
+	}
+	return call;
+}
+
+/**
+ * Generate a US-format callsign using only the allowed characters
+ * @param {string} allowed - Characters that may appear
+ * @returns {string|null} Callsign, or null without a usable prefix letter or digit
+ */
+function generateConstrainedCallsign(allowed) {
+	const isAllowed = text => [...text].every(char => allowed.includes(char));
+	const letters = [...'ABCDEFGHIJKLMNOPQRSTUVWXYZ'].filter(char => allowed.includes(char));
+	const digits = [...'0123456789'].filter(char => allowed.includes(char));
+
+	const prefixes = ['W', 'K', 'N', 'A'].filter(isAllowed);
+	if (prefixes.length === 0 || digits.length === 0) return null;
+
+	// Two letter prefixes: AA-AL, KA-KZ, NA-NZ, WA-WZ
+	const twoLetterPrefixes = [];
+	for (const first of prefixes) {
+		for (const second of letters) {
+			if (first !== 'A' || second <= 'L') twoLetterPrefixes.push(first + second);
+		}
+	}
+
+	const prefix = twoLetterPrefixes.length > 0 && Math.random() >= 0.7
+		? pickRandomItem(twoLetterPrefixes)
+		: pickRandomItem(prefixes);
+	const suffixLength = 1 + Math.floor(Math.random() * 3);
+	let suffix = '';
+	for (let i = 0; i < suffixLength; i++) {
+		suffix += pickRandomItem(letters);
+	}
+
+	return prefix + pickRandomItem(digits) + suffix;
+}
+
+// Callsign settings panel (shared by Copy and Send Practice)
+document.addEventListener('DOMContentLoaded', () => {
+	const panel = document.getElementById('callsign-settings');
+	if (!panel) return;
+
+	const difficultySelect = document.getElementById('callsign-difficulty');
+	const portableSlider = document.getElementById('callsign-portable');
+	const prefixedSlider = document.getElementById('callsign-prefixed');
+	const regionContainer = document.getElementById('callsign-regions');
+	const example = document.getElementById('callsign-example');
+	const settings = loadCallsignSettings();
+
+	function update() {
+		saveCallsignSettings(settings);
+		const samples = [];
+		for (let i = 0; i < 4; i++) {
+			samples.push(generateCallsign({ settings: settings }));
+		}
+		example.textContent = `e.g. ${samples.join('  ')}`;
+	}
+
+	function bindSlider(slider, setting) {
+		const output = document.querySelector(`output[for="${slider.id}"]`);
+		slider.value = settings[setting];
+		output.textContent = settings[setting];
+		slider.addEventListener('input', (e) => {
+			settings[setting] = parseInt(e.target.value);
+			output.textContent = settings[setting];
+			update();
+		});
+	}
+
+	difficultySelect.value = settings.difficulty;
+	difficultySelect.addEventListener('change', (e) => {
+		settings.difficulty = e.target.value;
+		update();
+	});
+	bindSlider(portableSlider, 'portable');
+	bindSlider(prefixedSlider, 'prefixed');
+
+	// One weight slider per region
+	for (const [id, region] of Object.entries(callsignRegions)) {
+		const column = document.createElement('div');
+		column.className = 'column is-half-tablet is-one-third-desktop';
+		column.innerHTML =
+			'<div class="field">' +
+				`<label class="label is-small"><span>${region.name}</span>: <output for="callsign-weight-${id}"></output></label>` +
+				`<div class="control"><input id="callsign-weight-${id}" type="range" min="0" max="10" step="1"></div>` +
+			'</div>';
+		regionContainer.appendChild(column);
+
+		const slider = column.querySelector('input');
+		const output = column.querySelector('output');
+		slider.value = settings.weights[id];
+		output.textContent = settings.weights[id];
+		slider.addEventListener('input', (e) => {
+			settings.weights[id] = parseInt(e.target.value);
+			output.textContent = settings.weights[id];
+			update();
+		});
+	}
+
+	update();
+});
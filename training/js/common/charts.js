@@ -0,0 +1,202 @@
+// Vail Training Tools - Shared Charts
+// Minimal canvas line and bar charts (no external libraries)
+
+const CHART_COLORS = {
+	background: '#1a1a1a',
+	grid: 'rgba(219, 219, 219, 0.1)',
+	text: '#7a7a7a',
+	series: ['#00d1b2', '#ffdd57', '#3e8ed0', '#f14668', '#48c78e', '#b86bff']
+};
+
+/**
+ * Prepare a canvas for drawing at the device pixel ratio
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @returns {Object} 2D context plus the CSS pixel width and height
+ */
+function setupChartCanvas(canvas) {
+	const ratio = window.devicePixelRatio || 1;
+	const width = canvas.clientWidth || canvas.width;
+	const height = canvas.clientHeight || canvas.height;
+	canvas.width = width * ratio;
+	canvas.height = height * ratio;
+
+	const ctx = canvas.getContext('2d');
+	ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+	ctx.fillStyle = CHART_COLORS.background;
+	ctx.fillRect(0, 0, width, height);
+	ctx.font = '11px sans-serif';
+	return { ctx, width, height };
+}
+
+/**
+ * Draw horizontal grid lines with value labels
+ */
+function drawChartGrid(ctx, area, yMin, yMax, yLabel) {
+	const steps = 4;
+	ctx.strokeStyle = CHART_COLORS.grid;
+	ctx.fillStyle = CHART_COLORS.text;
+	ctx.textAlign = 'right';
+	ctx.textBaseline = 'middle';
+	for (let i = 0; i <= steps; i++) {
+		const value = yMin + ((yMax - yMin) * i) / steps;
+		const y = area.bottom - ((area.bottom - area.top) * i) / steps;
+		ctx.beginPath();
+		ctx.moveTo(area.left, y);
+		ctx.lineTo(area.right, y);
+		ctx.stroke();
+		ctx.fillText(Math.round(value), area.left - 6, y);
+	}
+
+	if (yLabel) {
+		ctx.save();
+		ctx.translate(10, (area.top + area.bottom) / 2);
+		ctx.rotate(-Math.PI / 2);
+		ctx.textAlign = 'center';
+		ctx.fillText(yLabel, 0, 0);
+		ctx.restore();
+	}
+}
+
+/**
+ * Draw a message in place of a chart when there is no data
+ */
+function drawEmptyChart(canvas, message) {
+	const { ctx, width, height } = setupChartCanvas(canvas);
+	ctx.fillStyle = CHART_COLORS.text;
+	ctx.textAlign = 'center';
+	ctx.textBaseline = 'middle';
+	ctx.fillText(message || 'No data yet', width / 2, height / 2);
+}
+
+/**
+ * Draw a line chart
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Object} options - Chart options
+ * @param {Object[]} options.series - [{ label, color, points: [{ x, y }] }], x values are numbers (e.g. timestamps)
+ * @param {number} options.yMin - Minimum y value (default: from data)
+ * @param {number} options.yMax - Maximum y value (default: from data)
+ * @param {string} options.yLabel - Y axis label
+ * @param {Function} options.formatX - Formats an x value for the axis labels
+ */
+function drawLineChart(canvas, options) {
+	const series = options.series.filter(s => s.points.length > 0);
+	if (series.length === 0) {
+		drawEmptyChart(canvas, options.emptyMessage);
+		return;
+	}
+
+	const { ctx, width, height } = setupChartCanvas(canvas);
+	const area = { left: 40, right: width - 10, top: 10, bottom: height - 36 };
+
+	const allPoints = series.flatMap(s => s.points);
+	const xs = allPoints.map(p => p.x);
+	const ys = allPoints.map(p => p.y);
+	let xMin = Math.min(...xs);
+	let xMax = Math.max(...xs);
+	if (xMin === xMax) {
+		xMin -= 1;
+		xMax += 1;
+	}
+	const yMin = options.yMin !== undefined ? options.yMin : Math.floor(Math.min(...ys));
+	let yMax = options.yMax !== undefined ? options.yMax : Math.ceil(Math.max(...ys));
+	if (yMax === yMin) yMax = yMin + 1;
+
+	const toX = x => area.left + ((x - xMin) / (xMax - xMin)) * (area.right - area.left);
+	const toY = y => area.bottom - ((y - yMin) / (yMax - yMin)) * (area.bottom - area.top);
+
+	drawChartGrid(ctx, area, yMin, yMax, options.yLabel);
+
+	// X axis labels at the ends
+	const formatX = options.formatX || (x => x);
+	ctx.fillStyle = CHART_COLORS.text;
+	ctx.textBaseline = 'top';
+	ctx.textAlign = 'left';
+	ctx.fillText(formatX(xMin), area.left, area.bottom + 6);
+	ctx.textAlign = 'right';
+	ctx.fillText(formatX(xMax), area.right, area.bottom + 6);
+
+	// Series
+	series.forEach((s, index) => {
+		const color = s.color || CHART_COLORS.series[index % CHART_COLORS.series.length];
+		ctx.strokeStyle = color;
+		ctx.fillStyle = color;
+		ctx.lineWidth = 2;
+		ctx.beginPath();
+		s.points.forEach((p, i) => {
+			if (i === 0) ctx.moveTo(toX(p.x), toY(p.y));
+			else ctx.lineTo(toX(p.x), toY(p.y));
+		});
+		ctx.stroke();
+		for (const p of s.points) {
+			ctx.beginPath();
+			ctx.arc(toX(p.x), toY(p.y), 3, 0, Math.PI * 2);
+			ctx.fill();
+		}
+	});
+	ctx.lineWidth = 1;
+
+	// Legend
+	if (series.length > 1 || series[0].label) {
+		let legendX = area.left;
+		ctx.textAlign = 'left';
+		ctx.textBaseline = 'middle';
+		series.forEach((s, index) => {
+			const color = s.color || CHART_COLORS.series[index % CHART_COLORS.series.length];
+			ctx.fillStyle = color;
+			ctx.fillRect(legendX, height - 10, 10, 4);
+			ctx.fillStyle = CHART_COLORS.text;
+			ctx.fillText(s.label || '', legendX + 14, height - 8);
+			legendX += ctx.measureText(s.label || '').width + 30;
+		});
+	}
+}
+
+/**
+ * Draw a bar chart
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Object} options - Chart options
+ * @param {Object[]} options.bars - [{ label, value, color }]
+ * @param {number} options.yMax - Maximum y value (default: from data)
+ * @param {string} options.yLabel - Y axis label
+ * @param {number} options.limit - Optional reference line (e.g. a time limit)
+ */
+function drawBarChart(canvas, options) {
+	const bars = options.bars;
+	if (bars.length === 0) {
+		drawEmptyChart(canvas, options.emptyMessage);
+		return;
+	}
+
+	const { ctx, width, height } = setupChartCanvas(canvas);
+	const area = { left: 40, right: width - 10, top: 10, bottom: height - 22 };
+
+	const dataMax = Math.max(...bars.map(b => b.value), options.limit || 0);
+	const yMax = options.yMax !== undefined ? options.yMax : Math.ceil(dataMax) || 1;
+	drawChartGrid(ctx, area, 0, yMax, options.yLabel);
+
+	const slot = (area.right - area.left) / bars.length;
+	const barWidth = Math.max(2, slot * 0.7);
+	ctx.textAlign = 'center';
+	ctx.textBaseline = 'top';
+	bars.forEach((bar, i) => {
+		const barHeight = (Math.min(bar.value, yMax) / yMax) * (area.bottom - area.top);
+		const x = area.left + slot * i + (slot - barWidth) / 2;
+		ctx.fillStyle = bar.color || CHART_COLORS.series[0];
+		ctx.fillRect(x, area.bottom - barHeight, barWidth, barHeight);
+		if (slot >= 10) {
+			ctx.fillStyle = CHART_COLORS.text;
+			ctx.fillText(bar.label, x + barWidth / 2, area.bottom + 5);
+		}
+	});
+
+	if (options.limit) {
+		const y = area.bottom - (options.limit / yMax) * (area.bottom - area.top);
+		ctx.strokeStyle = CHART_COLORS.series[3];
+		ctx.setLineDash([4, 4]);
+		ctx.beginPath();
+		ctx.moveTo(area.left, y);
+		ctx.lineTo(area.right, y);
+		ctx.stroke();
+		ctx.setLineDash([]);
+	}
+}
@@ -0,0 +1,255 @@
+// Vail Training Tools - Shared Fist Report
+// Timing analysis of a sending session: dit/dah histograms, spacing, speed drift, run-together and split characters
+
+// Ideal lengths in dits
+const FIST_IDEAL = {
+	dah: 3,
+	element: 1,
+	letter: 3,
+	word: 7
+};
+const FIST_PAUSE = 14;        // Silences longer than this (in dits) are pauses, not spacing
+const FIST_SPLIT_GAP = 2.5;   // Letter gaps shorter than this (in dits) may have split a character
+const FIST_MAX_BINS = 20;
+
+/**
+ * Average of a list of numbers (null if empty)
+ */
+function averageFistValues(values) {
+	if (values.length === 0) return null;
+	return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Analyze the key timings of a session
+ * Lengths are measured in dits of the decoder's own estimate at the time,
+ * so a slow or fast sender is judged against their own speed.
+ * @param {Object} data - From MorseProAdapter.getFistData()
+ * @returns {Object} Report: { dits, dahs, ratio, spacing, drift, speed, flagged }
+ */
+function analyzeFist(data) {
+	const dits = [];
+	const dahs = [];
+	const gaps = { element: [], letter: [], word: [] };
+
+	data.timings.forEach((timing, i) => {
+		const units = Math.abs(timing.duration) / timing.unit;
+		if (timing.duration > 0) {
+			(units < 2 ? dits : dahs).push({ ms: timing.duration, units: units, unit: timing.unit });
+		} else if (i > 0) {
+			// A leading silence is left over from before the session
+			if (units < 2) gaps.element.push(units);
+			else if (units < 5) gaps.letter.push(units);
+			else if (units < FIST_PAUSE) gaps.word.push(units);
+		}
+	});
+
+	const ditUnits = averageFistValues(dits.map(d => d.units));
+	const dahUnits = averageFistValues(dahs.map(d => d.units));
+
+	const spacing = {};
+	for (const [type, values] of Object.entries(gaps)) {
+		spacing[type] = { average: averageFistValues(values), count: values.length, ideal: FIST_IDEAL[type] };
+	}
+
+	// Speed from the decoder's dit length as each character was decoded
+	const drift = data.characters.map(c => ({ x: c.time, y: Math.round(1200 / c.unit) }));
+	let speed = null;
+	if (drift.length >= 8) {
+		const quarter = Math.floor(drift.length / 4);
+		speed = {
+			start: Math.round(averageFistValues(drift.slice(0, quarter).map(p => p.y))),
+			end: Math.round(averageFistValues(drift.slice(-quarter).map(p => p.y)))
+		};
+	}
+
+	return {
+		dits: dits,
+		dahs: dahs,
+		ratio: ditUnits && dahUnits ? dahUnits / ditUnits : null,
+		spacing: spacing,
+		drift: drift,
+		speed: speed,
+		flagged: findFlaggedCharacters(data)
+	};
+}
+
+/**
+ * Find characters that were probably run together or split apart
+ * Run together: an unknown pattern that is two characters with too short a
+ * gap between them. Split: two characters that make a third, sent with only
+ * just over the letter gap threshold between them.
+ * @param {Object} data - From MorseProAdapter.getFistData()
+ * @returns {Object[]} { text, problem, detail }
+ */
+function findFlaggedCharacters(data) {
+	const { timings, characters, table } = data;
+	const flagged = [];
+
+	// Index of each character's tones in the timings
+	let start = 0;
+	const tones = characters.map(c => {
+		const indexes = [];
+		for (let i = start; i < c.index; i++) {
+			if (timings[i].duration > 0) indexes.push(i);
+		}
+		start = c.index;
+		return indexes;
+	});
+	// Silence between two tones, in dits
+	const gapBetween = (from, to) => {
+		let units = 0;
+		for (let i = from + 1; i < to; i++) {
+			if (timings[i].duration < 0) units += -timings[i].duration / timings[i].unit;
+		}
+		return units;
+	};
+
+	characters.forEach((c, n) => {
+		if (!table[c.morse] && c.morse.length === tones[n].length) {
+			// Split where the longest gap inside the pattern makes two characters
+			let best = null;
+			for (let i = 1; i < c.morse.length; i++) {
+				const first = table[c.morse.slice(0, i)];
+				const second = table[c.morse.slice(i)];
+				if (!first || !second) continue;
+				const gap = gapBetween(tones[n][i - 1], tones[n][i]);
+				if (!best || gap > best.gap) best = { text: first + second, gap: gap };
+			}
+			if (best) {
+				flagged.push({
+					text: best.text,
+					problem: 'Run together',
+					detail: `${c.morse} has a ${best.gap.toFixed(1)} dit gap where ${FIST_IDEAL.letter} were needed`
+				});
+			} else {
+				flagged.push({ text: c.morse, problem: 'Unknown', detail: 'Not a character' });
+			}
+			return;
+		}
+
+		const next = characters[n + 1];
+		if (!next || tones[n].length === 0 || tones[n + 1].length === 0) return;
+		const joined = table[c.morse + next.morse];
+		const gap = gapBetween(tones[n][tones[n].length - 1], tones[n + 1][0]);
+		if (joined && gap < FIST_SPLIT_GAP) {
+			flagged.push({
+				text: `${c.char} ${next.char}`,
+				problem: 'Split',
+				detail: `Only a ${gap.toFixed(1)} dit gap - was it ${joined}?`
+			});
+		}
+	});
+	return flagged;
+}
+
+/**
+ * Histogram bars for a set of tone lengths
+ * @param {Object[]} lengths - { ms, unit } from analyzeFist()
+ * @param {number} ideal - Ideal length in dits (1 for dits, 3 for dahs)
+ * @returns {Object[]} Bars for drawBarChart(), labelled with milliseconds
+ */
+function buildFistHistogram(lengths, ideal) {
+	if (lengths.length === 0) return [];
+
+	const values = lengths.map(l => l.ms);
+	const idealMs = ideal * averageFistValues(lengths.map(l => l.unit));
+	const min = Math.min(...values, idealMs);
+	const max = Math.max(...values, idealMs);
+	const binWidth = Math.max(5, Math.ceil((max - min + 1) / FIST_MAX_BINS / 5) * 5);
+	const first = Math.floor(min / binWidth) * binWidth;
+	const count = Math.floor((max - first) / binWidth) + 1;
+
+	const bins = new Array(count).fill(0);
+	for (const value of values) {
+		bins[Math.floor((value - first) / binWidth)]++;
+	}
+	const idealBin = Math.floor((idealMs - first) / binWidth);
+	const labelEvery = Math.ceil(count / 6);
+	return bins.map((value, i) => ({
+		label: i % labelEvery === 0 ? String(first + i * binWidth) : '',
+		value: value,
+		color: i === idealBin ? CHART_COLORS.series[1] : CHART_COLORS.series[0]
+	}));
+}
+
+/**
+ * Add a label/value row to a report list
+ */
+function addFistRow(container, label, value) {
+	const row = document.createElement('div');
+	row.className = 'stat-item';
+	const labelSpan = document.createElement('span');
+	labelSpan.className = 'stat-label';
+	labelSpan.textContent = label;
+	const valueSpan = document.createElement('span');
+	valueSpan.className = 'stat-value';
+	valueSpan.textContent = value;
+	row.append(labelSpan, valueSpan);
+	container.appendChild(row);
+}
+
+/**
+ * Show the fist report box (#fist-report-box) for a session
+ * @param {Object} data - From MorseProAdapter.getFistData()
+ * @returns {boolean} False if nothing was sent
+ */
+function renderFistReport(data) {
+	const box = document.getElementById('fist-report-box');
+	if (!box) return false;
+	if (data.timings.length === 0) {
+		box.style.display = 'none';
+		return false;
+	}
+	box.style.display = 'block';
+
+	const report = analyzeFist(data);
+
+	drawBarChart(document.getElementById('fist-dit-chart'), {
+		bars: buildFistHistogram(report.dits, 1),
+		yLabel: 'dits',
+		emptyMessage: 'No dits sent'
+	});
+	drawBarChart(document.getElementById('fist-dah-chart'), {
+		bars: buildFistHistogram(report.dahs, FIST_IDEAL.dah),
+		yLabel: 'dahs',
+		emptyMessage: 'No dahs sent'
+	});
+
+	const summary = document.getElementById('fist-summary');
+	summary.innerHTML = '';
+	addFistRow(summary, 'Dah:Dit Ratio', report.ratio
+		? `${report.ratio.toFixed(1)} : 1 (ideal ${FIST_IDEAL.dah} : 1)`
+		: '--');
+	const spacingNames = { element: 'Element Spacing', letter: 'Character Spacing', word: 'Word Spacing' };
+	for (const [type, name] of Object.entries(spacingNames)) {
+		const gap = report.spacing[type];
+		addFistRow(summary, name, gap.average !== null
+			? `${gap.average.toFixed(1)} dits (ideal ${gap.ideal})`
+			: '--');
+	}
+	addFistRow(summary, 'Speed', report.speed
+		? `${report.speed.start} → ${report.speed.end} WPM`
+		: '--');
+
+	const startTime = report.drift.length > 0 ? report.drift[0].x : 0;
+	drawLineChart(document.getElementById('fist-drift-chart'), {
+		series: [{ points: report.drift }],
+		yLabel: 'WPM',
+		formatX: x => {
+			const seconds = Math.round((x - startTime) / 1000);
+			return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+		},
+		emptyMessage: 'No characters decoded'
+	});
+
+	const flaggedList = document.getElementById('fist-flagged');
+	flaggedList.innerHTML = '';
+	if (report.flagged.length === 0) {
+		flaggedList.textContent = 'None - every character was cleanly spaced.';
+	}
+	for (const item of report.flagged) {
+		addFistRow(flaggedList, `${item.problem}: ${item.text}`, item.detail);
+	}
+	return true;
+}
@@ -0,0 +1,196 @@
+// Vail Training Tools - Shared Practice History
+// IndexedDB session storage, session recording helpers, CSV/JSON export
+
+const HISTORY_DB_NAME = 'vailTrainingHistory';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'sessions';
+
+let historyDbPromise = null;
+
+/**
+ * Open (or create) the practice history database
+ * @returns {Promise<IDBDatabase>} The database
+ */
+function openHistoryDB() {
+	if (historyDbPromise) return historyDbPromise;
+
+	historyDbPromise = new Promise((resolve, reject) => {
+		if (!window.indexedDB) {
+			reject(new Error('IndexedDB not supported'));
+			return;
+		}
+
+		const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+
+		request.onupgradeneeded = () => {
+			const db = request.result;
+			if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+				const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+				store.createIndex('startedAt', 'startedAt');
+				store.createIndex('page', 'page');
+			}
+		};
+
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => {
+			historyDbPromise = null;
+			reject(request.error);
+		};
+	});
+
+	return historyDbPromise;
+}
+
+/**
+ * Run a single request against the sessions store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} The request result
+ */
+async function runHistoryRequest(mode, makeRequest) {
+	const db = await openHistoryDB();
+	return new Promise((resolve, reject) => {
+		const transaction = db.transaction(HISTORY_STORE, mode);
+		const request = makeRequest(transaction.objectStore(HISTORY_STORE));
+		transaction.oncomplete = () => resolve(request.result);
+		transaction.onerror = () => reject(transaction.error);
+	});
+}
+
+/**
+ * Start recording a practice session
+ * @param {string} page - 'copy', 'send' or 'free'
+ * @param {string} mode - Practice mode within the page
+ * @param {number} wpm - Speed at the start of the session
+ * @returns {Object} Session record to pass to recordHistoryItem() and finishHistorySession()
+ */
+function createHistorySession(page, mode, wpm) {
+	return {
+		page: page,
+		mode: mode,
+		wpm: wpm,
+		startedAt: Date.now(),
+		duration: 0,
+		attempts: 0,
+		correct: 0,
+		accuracy: null,
+		items: []
+	};
+}
+
+/**
+ * Add one result to a session
+ * @param {Object} session - Session from createHistorySession()
+ * @param {string} expected - What was sent or shown
+ * @param {string} answer - What the student copied or sent
+ * @param {boolean|null} correct - Whether the answer was right (null for unscored items)
+ * @param {Object} extra - Optional extra fields (e.g. wpm, latency)
+ */
+function recordHistoryItem(session, expected, answer, correct, extra = {}) {
+	if (!session) return;
+	if (correct !== null) {
+		session.attempts++;
+		if (correct) session.correct++;
+	}
+	session.items.push({
+		expected: expected,
+		answer: answer,
+		correct: correct,
+		time: Date.now() - session.startedAt,
+		...extra
+	});
+}
+
+/**
+ * Finalize and store a session. Sessions without any activity are skipped.
+ * @param {Object} session - Session from createHistorySession()
+ * @returns {Promise<number|null>} The stored session id
+ */
+async function finishHistorySession(session) {
+	if (!session || (session.attempts === 0 && session.items.length === 0)) {
+		return null;
+	}
+
+	session.duration = Date.now() - session.startedAt;
+	if (session.attempts > 0) {
+		session.accuracy = Math.round((session.correct / session.attempts) * 100);
+	}
+
+	// Use the speed the items were actually practiced at when it varied
+	const itemSpeeds = session.items.map(item => item.wpm).filter(wpm => wpm);
+	if (itemSpeeds.length > 0) {
+		session.wpm = Math.round(itemSpeeds.reduce((sum, wpm) => sum + wpm, 0) / itemSpeeds.length);
+	}
+
+	try {
+		const id = await runHistoryRequest('readwrite', store => store.add(session));
+		console.log('Saved practice session to history:', id);
+		return id;
+	} catch (err) {
+		console.log('Could not save practice session:', err.message);
+		return null;
+	}
+}
+
+/**
+ * Get all stored sessions, oldest first
+ * @returns {Promise<Object[]>} Sessions
+ */
+async function getHistorySessions() {
+	const sessions = await runHistoryRequest('readonly', store => store.getAll());
+	return sessions.sort((a, b) => a.startedAt - b.startedAt);
+}
+
+/**
+ * Delete all stored sessions
+ * @returns {Promise<void>}
+ */
+async function clearHistorySessions() {
+	await runHistoryRequest('readwrite', store => store.clear());
+}
+
+/**
+ * Convert sessions to CSV (one row per session)
+ * @param {Object[]} sessions - Sessions to export
+ * @returns {string} CSV text
+ */
+function historyToCSV(sessions) {
+	const columns = ['id', 'date', 'page', 'mode', 'wpm', 'settledWpm', 'durationSeconds', 'attempts', 'correct', 'accuracy'];
+	const escape = value => {
+		const text = value === null || value === undefined ? '' : String(value);
+		return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+	};
+
+	const rows = sessions.map(session => [
+		session.id,
+		new Date(session.startedAt).toISOString(),
+		session.page,
+		session.mode,
+		session.wpm,
+		session.settledWpm,
+		Math.round(session.duration / 1000),
+		session.attempts,
+		session.correct,
+		session.accuracy
+	].map(escape).join(','));
+
+	return [columns.join(','), ...rows].join('\n');
+}
+
+/**
+ * Trigger a browser download of text content
+ * @param {string} content - File content
+ * @param {string} filename - Download file name
+ * @param {string} mimeType - MIME type
+ */
+function downloadTextFile(content, filename, mimeType) {
+	const blob = new Blob([content], { type: mimeType });
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = filename;
+	document.body.appendChild(link);
+	link.click();
+	document.body.removeChild(link);
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
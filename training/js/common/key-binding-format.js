@@ -0,0 +1,74 @@
+// Vail Training Tools - Shared Key Binding Format
+// Stored key bindings and what a key does. No page code, so the QSO simulator
+// can bundle it too (qso-simulator/src/js/morse-input/keyer.js); the settings
+// panel is in key-bindings.js.
+
+const KEY_BINDINGS_KEY = 'vailTrainingKeyBindings';
+
+const keyRoles = ['dit', 'dah', 'straight'];
+
+// KeyboardEvent.code values for each role. The vband USB interface sends
+// Left/Right Ctrl; [ and ] are handy on a plain keyboard.
+const defaultKeyBindings = {
+	dit: ['ControlLeft', 'BracketLeft'],
+	dah: ['ControlRight', 'BracketRight'],
+	straight: [],
+	swap: false // Reverse the paddles: dit keys send dahs and dah keys send dits
+};
+
+/**
+ * Load key bindings, filling in defaults
+ * @returns {Object} Bindings (see defaultKeyBindings)
+ */
+function loadKeyBindings() {
+	const bindings = {
+		dit: [...defaultKeyBindings.dit],
+		dah: [...defaultKeyBindings.dah],
+		straight: [...defaultKeyBindings.straight],
+		swap: defaultKeyBindings.swap
+	};
+	const saved = localStorage.getItem(KEY_BINDINGS_KEY);
+	if (saved === null) return bindings;
+	try {
+		const parsed = JSON.parse(saved);
+		for (const role of keyRoles) {
+			if (Array.isArray(parsed[role])) bindings[role] = parsed[role].filter(code => typeof code === 'string');
+		}
+		bindings.swap = parsed.swap === true;
+		return bindings;
+	} catch (err) {
+		console.log('Ignoring invalid key bindings:', err.message);
+		return bindings;
+	}
+}
+
+/**
+ * Apply paddle swap to a key role
+ * @param {Object} bindings - Bindings (see defaultKeyBindings)
+ * @param {string} role - 'dit', 'dah' or 'straight'
+ * @returns {string} The role to key
+ */
+function swapPaddle(bindings, role) {
+	if (!bindings.swap) return role;
+	if (role === 'dit') return 'dah';
+	if (role === 'dah') return 'dit';
+	return role;
+}
+
+/**
+ * What a key does
+ * @param {Object} bindings - Bindings (see defaultKeyBindings)
+ * @param {string} code - KeyboardEvent.code
+ * @returns {string|null} 'dit', 'dah', 'straight', or null if the key isn't bound
+ */
+function getKeyRole(bindings, code) {
+	for (const role of keyRoles) {
+		if (bindings[role].includes(code)) return swapPaddle(bindings, role);
+	}
+	return null;
+}
+
+// Loaded as a plain script by the training pages; webpack sees a CommonJS module
+if (typeof module !== 'undefined') {
+	module.exports = { KEY_BINDINGS_KEY, keyRoles, defaultKeyBindings, loadKeyBindings, swapPaddle, getKeyRole };
+}
@@ -0,0 +1,156 @@
+// Vail Training Tools - Shared Key Bindings
+// The bindings in use on this page and the settings panel for them
+// (the stored format and key lookup are in key-binding-format.js)
+
+// Names for codes that don't read well on their own
+const keyCodeNames = {
+	ControlLeft: 'Left Ctrl', ControlRight: 'Right Ctrl',
+	ShiftLeft: 'Left Shift', ShiftRight: 'Right Shift',
+	AltLeft: 'Left Alt', AltRight: 'Right Alt',
+	MetaLeft: 'Left Meta', MetaRight: 'Right Meta',
+	BracketLeft: '[', BracketRight: ']', Semicolon: ';', Quote: '\'',
+	Comma: ',', Period: '.', Slash: '/', Backslash: '\\',
+	Minus: '-', Equal: '=', Backquote: '`', IntlBackslash: '\\ (ISO)'
+};
+
+let keyBindings = loadKeyBindings();
+
+// Pick up changes made in another tab
+window.addEventListener('storage', (e) => {
+	if (e.key === KEY_BINDINGS_KEY || e.key === null) {
+		keyBindings = loadKeyBindings();
+	}
+});
+
+/**
+ * Current key bindings
+ * @returns {Object} Bindings (see defaultKeyBindings)
+ */
+function getKeyBindings() {
+	return keyBindings;
+}
+
+/**
+ * Save key bindings and start using them
+ * @param {Object} bindings - Bindings (see defaultKeyBindings)
+ */
+function saveKeyBindings(bindings) {
+	keyBindings = bindings;
+	localStorage.setItem(KEY_BINDINGS_KEY, JSON.stringify(bindings));
+}
+
+/**
+ * Readable name for a key
+ * @param {string} code - KeyboardEvent.code
+ * @returns {string} e.g. 'Left Ctrl', '[', 'Z', 'Numpad 5'
+ */
+function formatKeyCode(code) {
+	if (keyCodeNames[code]) return keyCodeNames[code];
+	const match = code.match(/^(?:Key|Digit)(.)$/);
+	if (match) return match[1];
+	return code.replace(/^(Numpad|Arrow)(.+)$/, '$1 $2');
+}
+
+// Key bindings panel (shared by Send and Free Practice)
+document.addEventListener('DOMContentLoaded', () => {
+	const panel = document.getElementById('key-bindings');
+	if (!panel) return;
+
+	const learnButtons = panel.querySelectorAll('[data-bind-role]');
+	const swapCheckbox = document.getElementById('key-swap');
+	const resetButton = document.getElementById('key-bindings-reset');
+	let learning = null; // Role waiting for a key press
+	let learnedCode = null; // Its key up is swallowed too, so it doesn't reach the keyer
+
+	function render() {
+		for (const role of keyRoles) {
+			const list = document.getElementById(`key-bindings-${role}`);
+			list.innerHTML = '';
+			if (keyBindings[role].length === 0) {
+				const none = document.createElement('span');
+				none.className = 'has-text-grey';
+				none.textContent = 'None';
+				list.appendChild(none);
+			}
+			for (const code of keyBindings[role]) {
+				const tags = document.createElement('span');
+				tags.className = 'tags has-addons';
+				const name = document.createElement('span');
+				name.className = 'tag';
+				name.textContent = formatKeyCode(code);
+				name.title = code;
+				const remove = document.createElement('a');
+				remove.className = 'tag is-delete';
+				remove.title = 'Remove';
+				remove.addEventListener('click', (e) => {
+					// The tag is gone once rendered, so don't let the settings dropdown see an outside click
+					e.stopPropagation();
+					keyBindings[role] = keyBindings[role].filter(c => c !== code);
+					saveKeyBindings(keyBindings);
+					render();
+				});
+				tags.append(name, remove);
+				list.appendChild(tags);
+			}
+		}
+		for (const button of learnButtons) {
+			const isLearning = button.dataset.bindRole === learning;
+			button.textContent = isLearning ? 'Press a key…' : 'Add Key';
+			button.classList.toggle('is-warning', isLearning);
+		}
+		swapCheckbox.checked = keyBindings.swap;
+	}
+
+	for (const button of learnButtons) {
+		button.addEventListener('click', () => {
+			const role = button.dataset.bindRole;
+			learning = learning === role ? null : role;
+			// Keep Space or Enter from clicking the button again
+			button.blur();
+			render();
+		});
+	}
+
+	// Capture the next key before the keyer or page shortcuts see it
+	window.addEventListener('keydown', (e) => {
+		if (!learning) return;
+		e.preventDefault();
+		e.stopImmediatePropagation();
+		learnedCode = e.code;
+		if (e.code !== 'Escape' && e.code !== '') {
+			// A key can only do one thing
+			for (const role of keyRoles) {
+				keyBindings[role] = keyBindings[role].filter(c => c !== e.code);
+			}
+			keyBindings[learning].push(e.code);
+			saveKeyBindings(keyBindings);
+		}
+		learning = null;
+		render();
+	}, true);
+	window.addEventListener('keyup', (e) => {
+		if (e.code !== learnedCode) return;
+		learnedCode = null;
+		e.preventDefault();
+		e.stopImmediatePropagation();
+	}, true);
+
+	swapCheckbox.addEventListener('change', (e) => {
+		keyBindings.swap = e.target.checked;
+		saveKeyBindings(keyBindings);
+	});
+
+	resetButton.addEventListener('click', () => {
+		localStorage.removeItem(KEY_BINDINGS_KEY);
+		keyBindings = loadKeyBindings();
+		learning = null;
+		render();
+	});
+
+	window.addEventListener('storage', (e) => {
+		if (e.key === KEY_BINDINGS_KEY || e.key === null) render();
+	});
+
+	render();
+});
+
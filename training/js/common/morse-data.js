@@ -1,5 +1,5 @@
 // Vail Training Tools - Shared Morse Data
-// morseCode map, commonWords, cwAcademySessions, generators
+// morseCode map, prosign tokenizer, commonWords, cwAcademySessions, generators
 
 // Morse code map
 const morseCode = {
@@ -10,10 +10,67 @@ const morseCode = {
 	'Y': '-.--', 'Z': '--..',
 	'0': '-----', '1': '.----', '2': '..---', '3': '...--', '4': '....-',
 	'5': '.....', '6': '-....', '7': '--...', '8': '---..', '9': '----.',
-	// Prosigns
-	'AR': '.-.-.', 'BT': '-...-', 'BK': '-...-.-', 'SK': '...-.-'
+	// Punctuation
+	'.': '.-.-.-', ',': '--..--', '?': '..--..', "'": '.----.', '!': '-.-.--',
+	'/': '-..-.', '(': '-.--.', ')': '-.--.-', '&': '.-...', ':': '---...',
+	';': '-.-.-.', '=': '-...-', '+': '.-.-.', '-': '-....-', '_': '..--.-',
+	'"': '.-..-.', '$': '...-..-', '@': '.--.-.',
+	// Prosigns (written as <AR> inside longer text)
+	'AR': '.-.-.', 'AS': '.-...', 'BK': '-...-.-', 'BT': '-...-', 'KA': '-.-.-',
+	'KN': '-.--.', 'SK': '...-.-', 'VE': '...-.', 'HH': '........', 'SOS': '...---...'
 };
 
+/**
+ * Split text into Morse tokens: single characters, spaces and <XX> prosigns
+ * An unknown or unclosed <...> is treated as ordinary characters. A character
+ * without its own code is split into base and mark when that helps (ガ -> カ ゛).
+ * @param {string} text - Text to split
+ * @returns {string[]} Tokens, e.g. ['C', 'Q', ' ', '<AR>']
+ */
+function tokenizeMorseText(text) {
+	const tokens = [];
+	let i = 0;
+	while (i < text.length) {
+		if (text[i] === '<') {
+			const endIndex = text.indexOf('>', i);
+			if (endIndex !== -1 && morseCode[text.substring(i + 1, endIndex).toUpperCase()]) {
+				tokens.push(text.substring(i, endIndex + 1).toUpperCase());
+				i = endIndex + 1;
+				continue;
+			}
+		}
+		const parts = text[i].normalize('NFD');
+		if (parts.length > 1 && !getTokenMorse(text[i]) && getTokenMorse(parts[1])) {
+			tokens.push(...parts);
+		} else {
+			tokens.push(text[i]);
+		}
+		i++;
+	}
+	return tokens;
+}
+
+/**
+ * Morse pattern for a token from tokenizeMorseText()
+ * @param {string} token - Character or <XX> prosign
+ * @returns {string|undefined} Dits and dahs, or undefined if not sendable
+ */
+function getTokenMorse(token) {
+	if (token.length > 2 && token[0] === '<' && token[token.length - 1] === '>') {
+		return morseCode[token.slice(1, -1)];
+	}
+	return morseCode[token] || morseCode[token.toUpperCase()];
+}
+
+/**
+ * Compare answers without prosign brackets, so AR matches <AR>
+ * @param {string} text - Answer text
+ * @returns {string} Uppercase text without < and >
+ */
+function normalizeProsignText(text) {
+	return text.toUpperCase().replace(/[<>]/g, '');
+}
+
 // Common words for practice (mix of ham radio terms and common English words)
 const commonWords = [
 	// Ham radio specific terms
@@ -34,6 +91,30 @@ const commonWords = [
 	'SAY', 'SEE', 'TRY', 'WHY', 'MY', 'SO', 'DO', 'GO', 'HI', 'AM'
 ];
 
+// Sentences for continuous copy (letters, numbers and spaces only)
+const practiceSentences = [
+	'THE QUICK BROWN FOX JUMPS OVER THE LAZY DOG',
+	'THANKS FOR THE CALL ES NICE TO MEET YOU',
+	'MY NAME IS BOB AND MY QTH IS DENVER',
+	'YOUR SIGNAL IS 599 HERE WITH A LITTLE QSB',
+	'THE RIG HERE IS A HOMEBREW TRANSCEIVER AT FIVE WATTS',
+	'ANTENNA IS A DIPOLE UP ABOUT THIRTY FEET',
+	'WX HERE IS SUNNY AND WARM TEMP IS 75 DEGREES',
+	'I HAVE BEEN A HAM FOR TEN YEARS',
+	'PLEASE QRS I AM STILL LEARNING THE CODE',
+	'THE BAND IS OPEN TO EUROPE THIS EVENING',
+	'I WILL SEND MY QSL CARD VIA THE BUREAU',
+	'HOPE TO WORK YOU AGAIN SOON',
+	'SORRY I LOST YOU IN THE NOISE PSE REPEAT',
+	'THE CONTEST STARTS AT 0000 UTC ON SATURDAY',
+	'A SMALL KEY AND A GOOD EAR ARE ALL YOU NEED',
+	'PRACTICE A LITTLE EVERY DAY AND SPEED WILL COME',
+	'WE MET ON TWENTY METERS LAST SUMMER',
+	'THE STATION IS RUNNING ON BATTERY POWER TODAY',
+	'CONDITIONS ARE POOR WITH HEAVY STATIC CRASHES',
+	'GOOD LUCK IN THE SPRINT THIS WEEKEND'
+];
+
 // CW Academy Beginner Course Sessions (cumulative character sets)
 // Each session includes all characters and prosigns from current and previous sessions
 const cwAcademySessions = {
@@ -49,30 +130,106 @@ const cwAcademySessions = {
 	10: { chars: 'AENTSIOHDLRCUMWFYGPQBVJKXZ', prosigns: ['AR', 'BT', 'BK', 'SK'], numbers: '0123456789' }
 };
 
-// Q Codes
-const qCodes = [
-	'QRL',  // frequency in use
-	'QRM',  // interference
-	'QRN',  // static/noise
-	'QRO',  // increase power
-	'QRP',  // reduce power/low power
-	'QRQ',  // send faster
-	'QRS',  // send slower
-	'QRT',  // stop sending
-	'QRU',  // nothing for you
-	'QRV',  // ready to receive
-	'QRX',  // stand by
-	'QRZ',  // who is calling me
-	'QSB',  // fading
-	'QSL',  // acknowledge/confirm
-	'QSO',  // contact
-	'QSP',  // relay
-	'QSY',  // change frequency
-	'QTH',  // location
-	'QTC',  // message for you
-	'QTR'   // time
+// Short words that can be sent early in the CW Academy course
+// (combined with commonWords and filtered to each session's characters)
+const cwaWords = [
+	'AN', 'AT', 'ANT', 'ATE', 'EAT', 'NET', 'TAN', 'TEA', 'TEN', 'NEAT', 'ANTE',
+	'SEA', 'SAT', 'SET', 'SIT', 'TIE', 'TOE', 'TON', 'NOT', 'NOSE', 'NOTE', 'SEAT',
+	'SENT', 'SIN', 'SON', 'TIN', 'TONE', 'STONE', 'EAST', 'OATS', 'INTO', 'ONTO',
+	'HAT', 'HEAT', 'HOT', 'HEN', 'RED', 'ROD', 'RAIN', 'REST', 'RIDE', 'HOLD', 'OLD',
+	'LID', 'DEAL', 'LINE', 'TRADE', 'HEARD', 'LATER', 'CALL', 'CODE', 'CUT', 'CQ',
+	'DE', 'ES', 'HR', 'OM', 'UR', 'RST', 'TNX', 'FER', 'WX', 'PWR', 'RIG',
+	'GM', 'GA', 'GE', 'HW', 'CPY', 'AGN', 'PSE', 'BK', 'FB', 'VY', 'QTH', 'QRS'
+];
+
+// Fewest words a CW Academy session needs before words and phrases are offered
+const CWA_MIN_WORDS = 5;
+
+// Koch method character order (LCWO order)
+// Lessons start with the first two characters and add one at a time
+const kochOrder = 'KMURESNAPTLWI.JZ=FOY,VG5/Q92H38B?47C1D60X';
+
+// CW abbreviations, Q codes and common phrases with their meanings
+// type: 'qcode', 'abbreviation' or 'phrase'; accept: other meanings allowed when typed
+const cwAbbreviations = [
+	// Q codes
+	{ text: 'QRL', meaning: 'Frequency in use', type: 'qcode', accept: ['Is the frequency busy', 'Busy'] },
+	{ text: 'QRM', meaning: 'Interference', type: 'qcode', accept: ['Man-made interference'] },
+	{ text: 'QRN', meaning: 'Static', type: 'qcode', accept: ['Noise', 'Static noise', 'Atmospheric noise'] },
+	{ text: 'QRO', meaning: 'Increase power', type: 'qcode', accept: ['High power', 'More power'] },
+	{ text: 'QRP', meaning: 'Low power', type: 'qcode', accept: ['Reduce power', 'Decrease power'] },
+	{ text: 'QRQ', meaning: 'Send faster', type: 'qcode', accept: ['Faster'] },
+	{ text: 'QRS', meaning: 'Send slower', type: 'qcode', accept: ['Slower', 'Slow down'] },
+	{ text: 'QRT', meaning: 'Stop sending', type: 'qcode', accept: ['Closing down', 'Going off the air'] },
+	{ text: 'QRU', meaning: 'Nothing for you', type: 'qcode', accept: ['I have nothing for you'] },
+	{ text: 'QRV', meaning: 'Ready to receive', type: 'qcode', accept: ['Ready', 'I am ready'] },
+	{ text: 'QRX', meaning: 'Stand by', type: 'qcode', accept: ['Wait', 'Standby'] },
+	{ text: 'QRZ', meaning: 'Who is calling me', type: 'qcode', accept: ['Who is calling'] },
+	{ text: 'QSB', meaning: 'Fading', type: 'qcode', accept: ['Signal fading', 'Your signal is fading'] },
+	{ text: 'QSL', meaning: 'Acknowledge', type: 'qcode', accept: ['Confirm', 'Received', 'Confirmation card'] },
+	{ text: 'QSO', meaning: 'Contact', type: 'qcode', accept: ['Conversation', 'A contact'] },
+	{ text: 'QSP', meaning: 'Relay', type: 'qcode', accept: ['Relay a message'] },
+	{ text: 'QSY', meaning: 'Change frequency', type: 'qcode', accept: ['Move frequency', 'Change to another frequency'] },
+	{ text: 'QTH', meaning: 'Location', type: 'qcode', accept: ['My location is', 'Where'] },
+	{ text: 'QTC', meaning: 'Message for you', type: 'qcode', accept: ['Traffic', 'Messages'] },
+	{ text: 'QTR', meaning: 'Time', type: 'qcode', accept: ['Correct time', 'What time is it'] },
+	// Abbreviations
+	{ text: 'TNX', meaning: 'Thanks', type: 'abbreviation', accept: ['Thank you'] },
+	{ text: 'TU', meaning: 'Thank you', type: 'abbreviation', accept: ['Thanks'] },
+	{ text: 'FB', meaning: 'Fine business', type: 'abbreviation', accept: ['Excellent', 'Great', 'Fine'] },
+	{ text: 'OM', meaning: 'Old man', type: 'abbreviation', accept: ['Male operator'] },
+	{ text: 'YL', meaning: 'Young lady', type: 'abbreviation', accept: ['Female operator'] },
+	{ text: 'XYL', meaning: 'Wife', type: 'abbreviation', accept: ['Ex young lady'] },
+	{ text: 'HW', meaning: 'How copy', type: 'abbreviation', accept: ['How', 'How do you copy'] },
+	{ text: 'ES', meaning: 'And', type: 'abbreviation', accept: [] },
+	{ text: 'WX', meaning: 'Weather', type: 'abbreviation', accept: [] },
+	{ text: 'UR', meaning: 'Your', type: 'abbreviation', accept: ['You are', 'Youre'] },
+	{ text: 'R', meaning: 'Roger', type: 'abbreviation', accept: ['Received'] },
+	{ text: 'RIG', meaning: 'Radio', type: 'abbreviation', accept: ['Transceiver', 'Equipment'] },
+	{ text: 'ANT', meaning: 'Antenna', type: 'abbreviation', accept: [] },
+	{ text: 'PWR', meaning: 'Power', type: 'abbreviation', accept: [] },
+	{ text: 'HR', meaning: 'Here', type: 'abbreviation', accept: ['Hear'] },
+	{ text: 'FER', meaning: 'For', type: 'abbreviation', accept: [] },
+	{ text: 'AGN', meaning: 'Again', type: 'abbreviation', accept: [] },
+	{ text: 'PSE', meaning: 'Please', type: 'abbreviation', accept: [] },
+	{ text: 'SRI', meaning: 'Sorry', type: 'abbreviation', accept: [] },
+	{ text: 'CUL', meaning: 'See you later', type: 'abbreviation', accept: [] },
+	{ text: 'GM', meaning: 'Good morning', type: 'abbreviation', accept: [] },
+	{ text: 'GA', meaning: 'Good afternoon', type: 'abbreviation', accept: ['Go ahead'] },
+	{ text: 'GE', meaning: 'Good evening', type: 'abbreviation', accept: [] },
+	{ text: 'GN', meaning: 'Good night', type: 'abbreviation', accept: [] },
+	{ text: '73', meaning: 'Best regards', type: 'abbreviation', accept: ['Regards', 'Best wishes'] },
+	{ text: '88', meaning: 'Love and kisses', type: 'abbreviation', accept: ['Hugs and kisses'] },
+	{ text: 'DX', meaning: 'Distant station', type: 'abbreviation', accept: ['Long distance', 'Distance'] },
+	{ text: 'CQ', meaning: 'Calling any station', type: 'abbreviation', accept: ['General call', 'Calling anyone'] },
+	{ text: 'DE', meaning: 'From', type: 'abbreviation', accept: ['This is'] },
+	{ text: 'K', meaning: 'Go ahead', type: 'abbreviation', accept: ['Over', 'Invitation to transmit'] },
+	{ text: 'BK', meaning: 'Back to you', type: 'abbreviation', accept: ['Break'] },
+	{ text: 'CPY', meaning: 'Copy', type: 'abbreviation', accept: [] },
+	{ text: 'NR', meaning: 'Number', type: 'abbreviation', accept: ['Near'] },
+	{ text: 'OP', meaning: 'Operator', type: 'abbreviation', accept: [] },
+	{ text: 'HI', meaning: 'Laughter', type: 'abbreviation', accept: ['Laughing', 'Ha ha'] },
+	{ text: 'SIG', meaning: 'Signal', type: 'abbreviation', accept: [] },
+	{ text: 'VY', meaning: 'Very', type: 'abbreviation', accept: [] },
+	{ text: 'ABT', meaning: 'About', type: 'abbreviation', accept: [] },
+	{ text: 'WID', meaning: 'With', type: 'abbreviation', accept: [] },
+	{ text: 'WKD', meaning: 'Worked', type: 'abbreviation', accept: [] },
+	{ text: 'RST', meaning: 'Readability strength tone', type: 'abbreviation', accept: ['Signal report'] },
+	// Phrases
+	{ text: '5NN', meaning: 'Signal report 599', type: 'phrase', accept: ['599', 'Contest report'] },
+	{ text: 'UR RST 599', meaning: 'Your signal report is 599', type: 'phrase', accept: ['Your report is 599', 'You are 599'] },
+	{ text: 'UR RST 339', meaning: 'Your signal is weak but readable', type: 'phrase', accept: ['Your report is 339', 'You are 339'] },
+	{ text: 'HW CPY?', meaning: 'How do you copy', type: 'phrase', accept: ['How copy'] },
+	{ text: 'TNX FER QSO', meaning: 'Thanks for the contact', type: 'phrase', accept: ['Thanks for the QSO'] },
+	{ text: 'CUL 73', meaning: 'See you later, best regards', type: 'phrase', accept: ['See you later regards'] },
+	{ text: 'PSE QRS', meaning: 'Please send slower', type: 'phrase', accept: ['Please slow down'] },
+	{ text: 'PSE AGN', meaning: 'Please repeat', type: 'phrase', accept: ['Please send again', 'Again please'] },
+	{ text: 'QTH?', meaning: 'What is your location', type: 'phrase', accept: ['Where are you'] }
 ];
 
+// Q Codes
+const qCodes = cwAbbreviations.filter(item => item.type === 'qcode').map(item => item.text);
+
 /**
  * Generate a random Q code
  * @returns {string} Random Q code
@@ -82,69 +239,145 @@ function generateQCode() {
 }
 
 /**
- * Generate a realistic amateur radio callsign
- * US Callsign format: [Prefix][0-9][Suffix]
- * @returns {string} Generated callsign
+ * Words made only from the characters learned by a CW Academy session
+ * @param {number} sessionNum - Session number (1-10)
+ * @returns {string[]} Words without duplicates
  */
-function generateCallsign() {
-	// Single letter prefixes (most common)
-	const singlePrefixes = ['W', 'K', 'N', 'A'];
-
-	// Two letter prefixes
-	const twoLetterPrefixes = [];
-	// AA-AL series
-	for (let i = 0; i < 12; i++) {
-		twoLetterPrefixes.push('A' + String.fromCharCode(65 + i));
-	}
-	// KA-KZ series
-	for (let i = 0; i < 26; i++) {
-		twoLetterPrefixes.push('K' + String.fromCharCode(65 + i));
-	}
-	// NA-NZ series
-	for (let i = 0; i < 26; i++) {
-		twoLetterPrefixes.push('N' + String.fromCharCode(65 + i));
-	}
-	// WA-WZ series
-	for (let i = 0; i < 26; i++) {
-		twoLetterPrefixes.push('W' + String.fromCharCode(65 + i));
+function getCwaWords(sessionNum) {
+	const session = cwAcademySessions[sessionNum];
+	const allowed = session.chars + session.numbers;
+	const sentenceWords = practiceSentences.join(' ').split(' ');
+	const words = new Set([...cwaWords, ...commonWords, ...sentenceWords]);
+	return [...words].filter(word => [...word].every(char => allowed.includes(char)));
+}
+
+/**
+ * Generate words, callsigns or short phrases for a CW Academy session
+ * Phrases are 2-4 session words, sometimes ending with a learned prosign.
+ * @param {number} sessionNum - Session number (1-10)
+ * @param {string} content - 'words', 'callsigns' or 'phrases'
+ * @returns {string|null} Practice text, or null when the session has too few characters
+ */
+function generateCwaContent(sessionNum, content) {
+	const session = cwAcademySessions[sessionNum];
+
+	if (content === 'callsigns') {
+		return generateCallsign({ allowed: session.chars + session.numbers });
 	}
 
-	// Choose prefix (70% single letter, 30% two letter for realistic distribution)
-	const useSingleLetter = Math.random() < 0.7;
-	const prefix = useSingleLetter
-		? singlePrefixes[Math.floor(Math.random() * singlePrefixes.length)]
-		: twoLetterPrefixes[Math.floor(Math.random() * twoLetterPrefixes.length)];
-
-	// District number (0-9)
-	const number = Math.floor(Math.random() * 10);
-
-	// Suffix length (1-3 letters)
-	// Extra class typically 1-2 letters, General/Tech 2-3 letters
-	// Weight toward 2-3 letter suffixes as they're more common
-	const rand = Math.random();
-	let suffixLength;
-	if (rand < 0.2) suffixLength = 1;      // 20% - Extra class (1x1, 2x1)
-	else if (rand < 0.6) suffixLength = 2; // 40% - General/Extra (1x2, 2x2)
-	else suffixLength = 3;                 // 40% - General/Tech (1x3, 2x3)
-
-	let suffix = '';
-	for (let i = 0; i < suffixLength; i++) {
-		suffix += String.fromCharCode(65 + Math.floor(Math.random() * 26));
+	const words = getCwaWords(sessionNum);
+	if (words.length < CWA_MIN_WORDS) return null;
+	const pickWord = () => words[Math.floor(Math.random() * words.length)];
+
+	if (content === 'phrases') {
+		const count = 2 + Math.floor(Math.random() * 3);
+		const phrase = [];
+		for (let i = 0; i < count; i++) {
+			phrase.push(pickWord());
+		}
+		if (session.prosigns.length > 0 && Math.random() < 0.3) {
+			phrase.push(`<${session.prosigns[Math.floor(Math.random() * session.prosigns.length)]}>`);
+		}
+		return phrase.join(' ');
 	}
 
-	return prefix + number + suffix;
+	return pickWord();
 }
 
 /**
  * Convert text to morse code
+ * Prosigns must be written as <XX>, so the word AS isn't the AS prosign.
  * @param {string} text - Text to convert
  * @returns {string} Morse code representation
  */
 function textToMorse(text) {
-	// Check if the entire text is a prosign
-	if (morseCode[text]) {
-		return morseCode[text];
+	return tokenizeMorseText(text).map(token => getTokenMorse(token) || '').join(' ');
+}
+
+/**
+ * Pick a random common word
+ * @returns {string} Word
+ */
+function randomWord() {
+	return commonWords[Math.floor(Math.random() * commonWords.length)];
+}
+
+// Punctuation in the places it turns up on the air
+const punctuationTemplates = [
+	() => `${generateCallsign({ plain: true })}/P`,
+	() => `${generateCallsign({ plain: true })}/${Math.floor(Math.random() * 10)}`,
+	() => `${randomWord()}?`,
+	() => `${randomWord()}.`,
+	() => `${randomWord()}, ${randomWord()}.`,
+	() => `${randomWord()}! ${randomWord()}`,
+	() => `NAME? ${randomWord()}`,
+	() => `RST 5${Math.floor(Math.random() * 5) + 5}9.`,
+	() => `${Math.floor(Math.random() * 90) + 10}/${Math.floor(Math.random() * 90) + 10}`,
+	() => `${Math.floor(Math.random() * 900) + 100}-${Math.floor(Math.random() * 9000) + 1000}`,
+	() => `${randomWord()}'S ${randomWord()}`,
+	() => `"${randomWord()}"`,
+	() => `(${randomWord()})`,
+	() => `${randomWord()}: ${randomWord()}; ${randomWord()}`,
+	() => `${randomWord()} & ${randomWord()}`,
+	() => `${randomWord()}@${randomWord()}.COM`,
+	() => {
+		const a = Math.floor(Math.random() * 10);
+		const b = Math.floor(Math.random() * 10);
+		return `${a}+${b}=${a + b}`;
 	}
-	// Otherwise, split into individual characters
-	return text.split('').map(char => morseCode[char] || '').join(' ');
+];
+
+// Prosigns where they are used in a real contact
+const prosignTemplates = [
+	() => `${generateCallsign()} DE ${generateCallsign()} <KN>`,
+	() => `<KA> ${generateCallsign()} DE ${generateCallsign()}`,
+	() => `TNX FER QSO 73 <SK>`,
+	() => `${randomWord()} ${randomWord()} <BT> ${randomWord()}`,
+	() => `RST 599 <BT> NAME ${randomWord()}`,
+	() => `QTH ${randomWord()} <AR>`,
+	() => `<BK> ${randomWord()} <BK>`,
+	() => `QRL? <AS>`,
+	() => `${randomWord()} <HH> ${randomWord()}`,
+	() => `<VE> ${randomWord()}`
+];
+
+// Details for QSO scripts
+const qsoNames = ['BOB', 'JIM', 'ANN', 'SUE', 'TOM', 'LIZ', 'RAY', 'KEN', 'PAT', 'DAN', 'JOE', 'MIKE'];
+const qsoLocations = ['DENVER', 'BOSTON', 'AUSTIN', 'OHIO', 'MAINE', 'LONDON', 'BERLIN', 'TOKYO', 'SYDNEY', 'TORONTO'];
+const qsoRigs = ['IC 7300', 'K3', 'FT 991', 'KX2', 'HOMEBREW QRP RIG', 'TS 590'];
+const qsoAntennas = ['DIPOLE', 'VERTICAL', 'YAGI', 'END FED WIRE', 'LOOP'];
+
+/**
+ * Generate one side of a typical ragchew QSO
+ * Uses only prosigns with their own pattern (<BT>, <SK>), so a decoder
+ * can't mistake them for punctuation.
+ * @returns {string} Script
+ */
+function generateQsoScript() {
+	const dx = generateCallsign({ plain: true });
+	const me = generateCallsign({ plain: true });
+	const rst = `5${Math.floor(Math.random() * 5) + 5}9`;
+	return [
+		`${dx} DE ${me} GM TNX FER CALL <BT>`,
+		`UR RST ${rst} ${rst} <BT>`,
+		`NAME ${pickRandomItem(qsoNames)} QTH ${pickRandomItem(qsoLocations)} <BT>`,
+		`RIG ${pickRandomItem(qsoRigs)} ANT ${pickRandomItem(qsoAntennas)} <BT>`,
+		`TNX FER QSO 73 ${dx} DE ${me} <SK>`
+	].join(' ');
+}
+
+/**
+ * Generate a short phrase using punctuation in context
+ * @returns {string} Phrase
+ */
+function generatePunctuationPractice() {
+	return punctuationTemplates[Math.floor(Math.random() * punctuationTemplates.length)]();
+}
+
+/**
+ * Generate a short phrase using prosigns in context (prosigns written as <XX>)
+ * @returns {string} Phrase
+ */
+function generateProsignPractice() {
+	return prosignTemplates[Math.floor(Math.random() * prosignTemplates.length)]();
 }
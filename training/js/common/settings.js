@@ -1,5 +1,5 @@
 // Vail Training Tools - Shared Settings
-// Volume, tone frequency, localStorage persistence, navbar
+// Volume, tone frequency and shape, output mode, alphabet, localStorage persistence, navbar
 
 document.addEventListener('DOMContentLoaded', () => {
 	// Volume slider
@@ -46,6 +46,57 @@ document.addEventListener('DOMContentLoaded', () => {
 		});
 	}
 
+	// Tone envelope and waveform
+	const toneRiseSlider = document.getElementById('tone-rise');
+	if (toneRiseSlider) {
+		const toneRiseOutput = document.querySelector('output[for="tone-rise"]');
+
+		const savedRise = localStorage.getItem('vailTrainingToneRise');
+		if (savedRise !== null) toneRiseSlider.value = savedRise;
+		if (toneRiseOutput) toneRiseOutput.textContent = toneRiseSlider.value;
+
+		toneRiseSlider.addEventListener('input', (e) => {
+			if (toneRiseOutput) toneRiseOutput.textContent = e.target.value;
+			localStorage.setItem('vailTrainingToneRise', e.target.value);
+		});
+	}
+
+	// Tone shape and output mode selects
+	const savedSelects = {
+		'tone-shape': 'vailTrainingToneShape',
+		'tone-waveform': 'vailTrainingToneWaveform',
+		'output-mode': 'vailTrainingOutputMode'
+	};
+	for (const [id, key] of Object.entries(savedSelects)) {
+		const select = document.getElementById(id);
+		if (!select) continue;
+
+		const saved = localStorage.getItem(key);
+		if (saved !== null && select.querySelector(`option[value="${saved}"]`)) select.value = saved;
+
+		select.addEventListener('change', (e) => {
+			localStorage.setItem(key, e.target.value);
+		});
+	}
+
+	// Alphabet selector
+	const alphabetSelect = document.getElementById('alphabet-select');
+	if (alphabetSelect) {
+		for (const [id, alphabet] of Object.entries(morseAlphabets)) {
+			const option = document.createElement('option');
+			option.value = id;
+			option.textContent = alphabet.name;
+			alphabetSelect.appendChild(option);
+		}
+		alphabetSelect.value = getAlphabetId();
+
+		alphabetSelect.addEventListener('change', (e) => {
+			setAlphabetId(e.target.value);
+			// Reload so character buttons, drills and decoders use the new alphabet
+			location.reload();
+		});
+	}
+
 	// Settings dropdown toggle
 	const settingsToggle = document.getElementById('settings-toggle');
 	const settingsDropdown = document.getElementById('settings-dropdown');
@@ -71,10 +122,26 @@ document.addEventListener('DOMContentLoaded', () => {
 			// Clear all Vail Training localStorage items
 			localStorage.removeItem('vailTrainingVolume');
 			localStorage.removeItem('vailTrainingTone');
+			localStorage.removeItem('vailTrainingToneRise');
+			localStorage.removeItem('vailTrainingToneShape');
+			localStorage.removeItem('vailTrainingToneWaveform');
+			localStorage.removeItem('vailTrainingOutputMode');
 			localStorage.removeItem('vailTrainingSendWpm');
 			localStorage.removeItem('vailTrainingFreeWpm');
 			localStorage.removeItem('vailTrainingKeyerMode');
 			localStorage.removeItem('vailTrainingFreeKeyerMode');
+			localStorage.removeItem('vailTrainingKochSettings');
+			localStorage.removeItem('vailTrainingCopyAdaptive');
+			localStorage.removeItem('vailTrainingCopySrs');
+			localStorage.removeItem('vailTrainingIcrSettings');
+			localStorage.removeItem('vailTrainingStreamSettings');
+			localStorage.removeItem('vailTrainingBandConditions');
+			localStorage.removeItem('vailTrainingAdaptiveSpeed');
+			localStorage.removeItem('vailTrainingCallsignSettings');
+			localStorage.removeItem('vailTrainingParagraphSettings');
+			localStorage.removeItem('vailTrainingSendEcho');
+			localStorage.removeItem('vailTrainingKeyBindings');
+			localStorage.removeItem('vailTrainingTextToCwSettings');
 
 			// Reload page to apply defaults
 			location.reload();
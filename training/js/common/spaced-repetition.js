@@ -0,0 +1,146 @@
+// Vail Training Tools - Shared Spaced Repetition
+// SM-2 style scheduling for words, callsigns and Q codes (stored in localStorage)
+
+const SRS_STORAGE_KEY = 'vailTrainingSrs';
+const SRS_MINUTE = 60 * 1000;
+const SRS_DAY = 24 * 60 * SRS_MINUTE;
+
+/**
+ * Load all decks from localStorage
+ * @returns {Object} Deck name -> { item -> card }
+ */
+function loadSrsDecks() {
+	const saved = localStorage.getItem(SRS_STORAGE_KEY);
+	if (saved === null) return {};
+	try {
+		return JSON.parse(saved);
+	} catch (err) {
+		console.log('Ignoring invalid spaced repetition data:', err.message);
+		return {};
+	}
+}
+
+/**
+ * Load a single deck
+ * @param {string} deckName - e.g. 'words', 'callsigns', 'qcodes'
+ * @returns {Object} Item -> card
+ */
+function loadSrsDeck(deckName) {
+	return loadSrsDecks()[deckName] || {};
+}
+
+/**
+ * Save a single deck
+ * @param {string} deckName - Deck name
+ * @param {Object} deck - Item -> card
+ */
+function saveSrsDeck(deckName, deck) {
+	const decks = loadSrsDecks();
+	decks[deckName] = deck;
+	localStorage.setItem(SRS_STORAGE_KEY, JSON.stringify(decks));
+}
+
+/**
+ * Turn a copy result into an SM-2 quality grade (0-5)
+ * Misses score 1, slow correct answers 3, quick correct answers 5.
+ * @param {boolean} correct - Whether the item was copied correctly
+ * @param {number} responseMs - Time from the end of playback to the answer
+ * @returns {number} Quality grade
+ */
+function getSrsQuality(correct, responseMs) {
+	if (!correct) return 1;
+	if (responseMs <= 3000) return 5;
+	if (responseMs <= 6000) return 4;
+	return 3;
+}
+
+/**
+ * Update an item's schedule after a review (SM-2)
+ * Failed items come back within the same session; passed items are
+ * pushed out 1 day, 6 days, then by their ease factor.
+ * @param {Object} deck - Item -> card (modified in place)
+ * @param {string} item - The item reviewed
+ * @param {number} quality - Grade from getSrsQuality()
+ * @param {number} now - Review time (default: Date.now())
+ * @returns {Object} The updated card
+ */
+function gradeSrsItem(deck, item, quality, now = Date.now()) {
+	const card = deck[item] || {
+		ease: 2.5,
+		interval: 0,       // days
+		repetitions: 0,
+		lapses: 0,
+		due: now
+	};
+
+	if (quality < 3) {
+		card.repetitions = 0;
+		card.interval = 0;
+		card.lapses++;
+		card.due = now + SRS_MINUTE;
+	} else {
+		card.repetitions++;
+		if (card.repetitions === 1) {
+			card.interval = 1;
+		} else if (card.repetitions === 2) {
+			card.interval = 6;
+		} else {
+			card.interval = Math.round(card.interval * card.ease);
+		}
+		card.due = now + card.interval * SRS_DAY;
+	}
+
+	card.ease = Math.max(1.3, card.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+	card.lastReviewed = now;
+	deck[item] = card;
+	return card;
+}
+
+/**
+ * Items due at or before a given time, most overdue first
+ * @param {Object} deck - Item -> card
+ * @param {number} until - Cutoff time (default: now)
+ * @returns {string[]} Due items
+ */
+function getDueSrsItems(deck, until = Date.now()) {
+	return Object.keys(deck)
+		.filter(item => deck[item].due <= until)
+		.sort((a, b) => deck[a].due - deck[b].due);
+}
+
+/**
+ * Number of items due before the end of today
+ * @param {Object} deck - Item -> card
+ * @returns {number} Due count
+ */
+function countSrsDueToday(deck) {
+	const endOfDay = new Date();
+	endOfDay.setHours(23, 59, 59, 999);
+	return getDueSrsItems(deck, endOfDay.getTime()).length;
+}
+
+/**
+ * Choose the next item to practice: due items first, then new items,
+ * then (when everything is learned) whichever item is due soonest.
+ * @param {Object} deck - Item -> card
+ * @param {string[]|Function} source - Pool of items, or a generator for new items
+ * @returns {string} Item to practice
+ */
+function pickSrsItem(deck, source) {
+	const due = getDueSrsItems(deck);
+	if (due.length > 0) {
+		return due[0];
+	}
+
+	if (typeof source === 'function') {
+		return source();
+	}
+
+	const unseen = source.filter(item => !deck[item]);
+	if (unseen.length > 0) {
+		return unseen[Math.floor(Math.random() * unseen.length)];
+	}
+
+	const upcoming = Object.keys(deck).sort((a, b) => deck[a].due - deck[b].due);
+	return upcoming.length > 0 ? upcoming[0] : source[Math.floor(Math.random() * source.length)];
+}
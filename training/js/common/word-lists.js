@@ -0,0 +1,241 @@
+// Vail Training Tools - Shared Word Lists
+// Named custom word lists and practice texts (.txt/.csv import or pasted), stored in localStorage
+
+const WORD_LISTS_KEY = 'vailTrainingWordLists';
+const WORD_LIST_SELECTION_KEY = 'vailTrainingWordListSelection';
+
+/**
+ * Keep only characters and <XX> prosigns that can be sent, collapse spaces
+ * @param {string} text - Raw text
+ * @returns {string} Uppercase sendable text
+ */
+function cleanWordListText(text) {
+	return tokenizeMorseText(text.toUpperCase())
+		.map(token => (token === ' ' || getTokenMorse(token)) ? token : ' ')
+		.join('')
+		.replace(/\s+/g, ' ')
+		.trim();
+}
+
+/**
+ * Parse imported text into words and sentences
+ * CSV rows become one sentence each (e.g. "W1AW,HIRAM,CT"); plain text is
+ * split into sentences after . ! ? and at line breaks.
+ * @param {string} text - File contents or pasted text
+ * @param {boolean} isCsv - Treat the text as CSV
+ * @returns {Object} { words: string[], sentences: string[] }
+ */
+function parseWordListText(text, isCsv = false) {
+	let sentences;
+	if (isCsv) {
+		sentences = text.split(/\r?\n/).map(line =>
+			line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"|"$/g, '')).join(' ')
+		);
+	} else {
+		sentences = text.match(/[^.!?\r\n]+[.!?]?/g) || [];
+	}
+	sentences = sentences.map(cleanWordListText).filter(sentence => sentence.length > 0);
+
+	const words = [];
+	const seen = new Set();
+	for (const sentence of sentences) {
+		for (const word of sentence.split(' ')) {
+			if (!seen.has(word)) {
+				seen.add(word);
+				words.push(word);
+			}
+		}
+	}
+
+	return { words, sentences };
+}
+
+/**
+ * Load all saved lists
+ * @returns {Object} List name -> { words, sentences, createdAt }
+ */
+function loadWordLists() {
+	const saved = localStorage.getItem(WORD_LISTS_KEY);
+	if (saved === null) return {};
+	try {
+		return JSON.parse(saved);
+	} catch (err) {
+		console.log('Ignoring invalid word lists:', err.message);
+		return {};
+	}
+}
+
+/**
+ * Parse and save a list under a name (replaces a list with the same name)
+ * The user is told why when nothing is saved.
+ * @param {string} name - List name
+ * @param {string} text - Contents to parse
+ * @param {boolean} isCsv - Treat the text as CSV
+ * @returns {Object|null} The saved list, or null if nothing sendable was found
+ *   or there was no room to store it
+ */
+function saveWordList(name, text, isCsv = false) {
+	const parsed = parseWordListText(text, isCsv);
+	if (parsed.words.length === 0) {
+		alert('No sendable words were found.');
+		return null;
+	}
+
+	const lists = loadWordLists();
+	lists[name] = { ...parsed, createdAt: Date.now() };
+	try {
+		localStorage.setItem(WORD_LISTS_KEY, JSON.stringify(lists));
+	} catch (err) {
+		// Long practice texts can fill the browser's storage (QuotaExceededError)
+		console.log('Could not save word list:', err.message);
+		alert(`"${name}" is too large to save. Try a shorter text, or delete lists you no longer use.`);
+		return null;
+	}
+	console.log('Saved word list:', name, parsed.words.length, 'words,', parsed.sentences.length, 'sentences');
+	return lists[name];
+}
+
+/**
+ * Delete a saved list
+ * @param {string} name - List name
+ */
+function deleteWordList(name) {
+	const lists = loadWordLists();
+	delete lists[name];
+	localStorage.setItem(WORD_LISTS_KEY, JSON.stringify(lists));
+}
+
+/**
+ * Currently selected list name and unit ('words' or 'sentences')
+ * @returns {Object} { name, unit }
+ */
+function getWordListSelection() {
+	const saved = localStorage.getItem(WORD_LIST_SELECTION_KEY);
+	const selection = { name: '', unit: 'words' };
+	if (saved === null) return selection;
+	try {
+		return { ...selection, ...JSON.parse(saved) };
+	} catch (err) {
+		return selection;
+	}
+}
+
+/**
+ * Pick a random item from the selected list
+ * @param {string} exclude - Item to avoid repeating (optional)
+ * @returns {string|null} Word or sentence, or null when no list is selected
+ */
+function pickWordListItem(exclude = '') {
+	const selection = getWordListSelection();
+	const list = loadWordLists()[selection.name];
+	if (!list) return null;
+
+	const items = selection.unit === 'sentences' ? list.sentences : list.words;
+	if (items.length === 0) return null;
+
+	let pool = items.filter(item => item !== exclude);
+	if (pool.length === 0) pool = items;
+	return pool[Math.floor(Math.random() * pool.length)];
+}
+
+// Word list panel (shared by Copy and Send Practice)
+document.addEventListener('DOMContentLoaded', () => {
+	const listSelect = document.getElementById('wordlist-select');
+	if (!listSelect) return;
+
+	const unitSelect = document.getElementById('wordlist-unit');
+	const info = document.getElementById('wordlist-info');
+	const fileInput = document.getElementById('wordlist-file');
+	const nameInput = document.getElementById('wordlist-name');
+	const textInput = document.getElementById('wordlist-text');
+	const saveBtn = document.getElementById('wordlist-save-btn');
+	const deleteBtn = document.getElementById('wordlist-delete-btn');
+
+	function saveSelection(name = listSelect.value) {
+		localStorage.setItem(WORD_LIST_SELECTION_KEY, JSON.stringify({
+			name: name,
+			unit: unitSelect.value
+		}));
+	}
+
+	function render() {
+		const lists = loadWordLists();
+		const selection = getWordListSelection();
+		const names = Object.keys(lists).sort();
+
+		listSelect.innerHTML = '';
+		if (names.length === 0) {
+			const option = document.createElement('option');
+			option.value = '';
+			option.textContent = 'No lists yet';
+			listSelect.appendChild(option);
+		}
+		for (const name of names) {
+			const option = document.createElement('option');
+			option.value = name;
+			option.textContent = name;
+			listSelect.appendChild(option);
+		}
+		listSelect.value = names.includes(selection.name) ? selection.name : (names[0] || '');
+		unitSelect.value = selection.unit;
+		deleteBtn.disabled = names.length === 0;
+
+		const list = lists[listSelect.value];
+		info.textContent = list
+			? `${list.words.length} words, ${list.sentences.length} sentences`
+			: 'Import a .txt or .csv file, or paste text below.';
+		saveSelection();
+	}
+
+	listSelect.addEventListener('change', () => {
+		saveSelection();
+		render();
+	});
+	unitSelect.addEventListener('change', () => {
+		saveSelection();
+		render();
+	});
+
+	fileInput.addEventListener('change', async () => {
+		const file = fileInput.files[0];
+		if (!file) return;
+		let text;
+		try {
+			text = await file.text();
+		} catch (err) {
+			console.log('Could not read word list file:', err.message);
+			alert('That file could not be read.');
+			fileInput.value = '';
+			return;
+		}
+		const name = nameInput.value.trim() || file.name.replace(/\.[^.]+$/, '');
+		const isCsv = /\.csv$/i.test(file.name) || file.type === 'text/csv';
+		if (saveWordList(name, text, isCsv)) {
+			saveSelection(name);
+		}
+		fileInput.value = '';
+		nameInput.value = '';
+		render();
+	});
+
+	saveBtn.addEventListener('click', () => {
+		const name = nameInput.value.trim();
+		if (!name) {
+			alert('Please give the list a name.');
+			return;
+		}
+		if (!saveWordList(name, textInput.value)) return;
+		saveSelection(name);
+		nameInput.value = '';
+		textInput.value = '';
+		render();
+	});
+
+	deleteBtn.addEventListener('click', () => {
+		if (!listSelect.value || !confirm(`Delete the list "${listSelect.value}"?`)) return;
+		deleteWordList(listSelect.value);
+		render();
+	});
+
+	render();
+});
@@ -21,7 +21,8 @@ document.addEventListener('DOMContentLoaded', () => {
 	let stats = {
 		attempts: 0,
 		correct: 0,
-		accuracy: 0
+		accuracy: 0,
+		recent: [] // Rolling list of recent results (true = correct)
 	};
 
 	// Practice state
@@ -30,6 +31,46 @@ document.addEventListener('DOMContentLoaded', () => {
 	let currentSpeed = 12;
 	let customCharacters = new Set();
 	let nextCharDelay = 2000; // Delay before next character (ms)
+	let historySession = null; // Session being recorded to practice history
+	let playbackEndsAt = 0; // When the current item finished playing (for response time)
+	let lastAttempt = '';   // Last answer checked for the current item (for the timing tape)
+	let itemAnswered = false; // Only the first answer to an item counts for confusion, SRS and adaptive speed
+
+	// Koch method state
+	let kochLevel = 1; // Lesson number - lesson 1 uses the first two characters
+	let kochSettings = {
+		order: kochOrder,
+		threshold: 90, // Rolling accuracy (%) needed to advance
+		window: 20     // Number of recent attempts the accuracy is measured over
+	};
+
+	// Spacing controls (Farnsworth / Wordsworth)
+	const spacingSelect = document.getElementById('practice-spacing');
+	const effectiveWpmSlider = document.getElementById('practice-effective-wpm');
+	const effectiveWpmOutput = document.querySelector('output[for="practice-effective-wpm"]');
+	const effectiveWpmContainer = document.getElementById('effective-wpm-container');
+
+	/**
+	 * Get spacing options for playMorseSequence()
+	 * @returns {Object} effectiveWpm and spacing, or empty for standard spacing
+	 */
+	function getSpacingOptions() {
+		if (!spacingSelect || spacingSelect.value === 'standard') return {};
+		return {
+			effectiveWpm: parseInt(effectiveWpmSlider.value),
+			spacing: spacingSelect.value
+		};
+	}
+
+	/**
+	 * Show character speed (and effective speed when spacing is stretched)
+	 */
+	function updateSpeedDisplay() {
+		const { effectiveWpm } = getSpacingOptions();
+		document.getElementById('stat-speed').textContent = effectiveWpm && effectiveWpm < currentSpeed
+			? `${currentSpeed}/${effectiveWpm} WPM`
+			: `${currentSpeed} WPM`;
+	}
 
 	// Update WPM display
 	const wpmSlider = document.getElementById('practice-wpm');
@@ -39,11 +80,251 @@ document.addEventListener('DOMContentLoaded', () => {
 			const wpm = parseInt(e.target.value);
 			currentSpeed = wpm;
 			wpmOutput.textContent = wpm;
-			document.getElementById('stat-speed').textContent = `${wpm} WPM`;
+
+			// Effective speed can never be faster than the character speed
+			if (effectiveWpmSlider && parseInt(effectiveWpmSlider.value) > wpm) {
+				effectiveWpmSlider.value = wpm;
+				effectiveWpmOutput.textContent = wpm;
+			}
+			updateSpeedDisplay();
 		});
 		wpmOutput.textContent = wpmSlider.value;
 	}
 
+	if (effectiveWpmSlider) {
+		effectiveWpmSlider.addEventListener('input', (e) => {
+			let effectiveWpm = parseInt(e.target.value);
+			if (effectiveWpm > currentSpeed) {
+				effectiveWpm = currentSpeed;
+				e.target.value = effectiveWpm;
+			}
+			effectiveWpmOutput.textContent = effectiveWpm;
+			updateSpeedDisplay();
+		});
+		effectiveWpmOutput.textContent = effectiveWpmSlider.value;
+	}
+
+	if (spacingSelect) {
+		spacingSelect.addEventListener('change', (e) => {
+			effectiveWpmContainer.style.display = e.target.value === 'standard' ? 'none' : 'block';
+			updateSpeedDisplay();
+		});
+	}
+
+	//==========================================
+	// BAND CONDITIONS
+	//==========================================
+
+	const bandCheckbox = document.getElementById('band-enabled');
+	const bandPanel = document.getElementById('band-settings');
+
+	// Setting -> slider id. Percent sliders are stored as 0-1.
+	const bandSliders = {
+		noise: 'band-noise',
+		qsbDepth: 'band-qsb-depth',
+		qsbRate: 'band-qsb-rate',
+		qrm: 'band-qrm',
+		qrmOffset: 'band-qrm-offset',
+		pitchVariation: 'band-pitch'
+	};
+	const bandPercentSettings = ['noise', 'qsbDepth', 'qrm'];
+
+	let bandConditions = {
+		enabled: false,
+		noise: 0.3,
+		qsbDepth: 0,
+		qsbRate: 0.2,
+		qrm: 0,
+		qrmOffset: 200,
+		pitchVariation: 0
+	};
+
+	const savedBandConditions = localStorage.getItem('vailTrainingBandConditions');
+	if (savedBandConditions !== null) {
+		try {
+			bandConditions = { ...bandConditions, ...JSON.parse(savedBandConditions) };
+		} catch (err) {
+			console.log('Ignoring invalid band conditions:', err.message);
+		}
+	}
+
+	function saveBandConditions() {
+		localStorage.setItem('vailTrainingBandConditions', JSON.stringify(bandConditions));
+	}
+
+	/**
+	 * Get options for playMorseSequence(): spacing plus band conditions when enabled
+	 */
+	function getPlaybackOptions() {
+		const options = getSpacingOptions();
+		if (bandConditions.enabled) {
+			options.conditions = bandConditions;
+		}
+		return options;
+	}
+
+	for (const [setting, id] of Object.entries(bandSliders)) {
+		const slider = document.getElementById(id);
+		if (!slider) continue;
+		const output = document.querySelector(`output[for="${id}"]`);
+		const isPercent = bandPercentSettings.includes(setting);
+
+		slider.value = isPercent ? Math.round(bandConditions[setting] * 100) : bandConditions[setting];
+		output.textContent = slider.value;
+		slider.addEventListener('input', (e) => {
+			const value = parseFloat(e.target.value);
+			bandConditions[setting] = isPercent ? value / 100 : value;
+			output.textContent = e.target.value;
+			saveBandConditions();
+		});
+	}
+
+	if (bandCheckbox) {
+		bandCheckbox.checked = bandConditions.enabled;
+		bandPanel.style.display = bandConditions.enabled ? 'block' : 'none';
+		bandCheckbox.addEventListener('change', (e) => {
+			bandConditions.enabled = e.target.checked;
+			bandPanel.style.display = bandConditions.enabled ? 'block' : 'none';
+			saveBandConditions();
+		});
+	}
+
+	//==========================================
+	// ADAPTIVE SPEED
+	//==========================================
+
+	const adaptiveSpeedCheckbox = document.getElementById('adaptive-speed');
+	const speedPanel = document.getElementById('speed-settings');
+
+	let speedSettings = {
+		enabled: false,
+		step: 1,     // WPM dropped after a miss
+		target: 80,  // Accuracy (%) the staircase converges to
+		min: 10,
+		max: 30
+	};
+
+	// Weighted up/down staircase: a miss lowers the speed by one step and a correct
+	// answer raises it by step * (1 - p) / p, which balances out at accuracy p
+	let staircase = {
+		wpm: null,     // Unrounded speed
+		direction: 0,  // +1 rising, -1 falling
+		reversals: [], // Speeds where the direction changed
+		speeds: []     // Speed of every scored item
+	};
+
+	const savedSpeedSettings = localStorage.getItem('vailTrainingAdaptiveSpeed');
+	if (savedSpeedSettings !== null) {
+		try {
+			speedSettings = { ...speedSettings, ...JSON.parse(savedSpeedSettings) };
+		} catch (err) {
+			console.log('Ignoring invalid adaptive speed settings:', err.message);
+		}
+	}
+
+	function saveSpeedSettings() {
+		localStorage.setItem('vailTrainingAdaptiveSpeed', JSON.stringify(speedSettings));
+	}
+
+	function resetStaircase() {
+		staircase = { wpm: null, direction: 0, reversals: [], speeds: [] };
+	}
+
+	/**
+	 * Move the speed slider (runs the same updates as dragging it)
+	 */
+	function setSpeed(wpm) {
+		if (!wpmSlider || parseInt(wpmSlider.value) === wpm) return;
+		wpmSlider.value = wpm;
+		wpmSlider.dispatchEvent(new Event('input'));
+	}
+
+	/**
+	 * Step the staircase after an item's first answer
+	 * @param {boolean} isCorrect - Whether the item was copied correctly
+	 */
+	function updateAdaptiveSpeed(isCorrect) {
+		if (!speedSettings.enabled) return;
+
+		// Follow the slider if the student moved it by hand
+		if (staircase.wpm === null || Math.round(staircase.wpm) !== currentSpeed) {
+			staircase.wpm = currentSpeed;
+		}
+		staircase.speeds.push(currentSpeed);
+
+		const p = speedSettings.target / 100;
+		const change = isCorrect ? speedSettings.step * (1 - p) / p : -speedSettings.step;
+		const direction = Math.sign(change);
+		if (staircase.direction !== 0 && direction !== staircase.direction) {
+			staircase.reversals.push(staircase.wpm);
+		}
+		staircase.direction = direction;
+		staircase.wpm = Math.min(speedSettings.max, Math.max(speedSettings.min, staircase.wpm + change));
+
+		console.log('Adaptive speed:', staircase.wpm.toFixed(2), 'WPM');
+		setSpeed(Math.round(staircase.wpm));
+	}
+
+	/**
+	 * Speed the student settled at: the average of the last six reversals,
+	 * or of the item speeds while there are too few reversals
+	 * @returns {number|null} WPM (one decimal), or null without adaptive data
+	 */
+	function getSettledWpm() {
+		const samples = staircase.reversals.length >= 2
+			? staircase.reversals.slice(-6)
+			: staircase.speeds.slice(-10);
+		if (samples.length === 0) return null;
+		return Math.round((samples.reduce((sum, wpm) => sum + wpm, 0) / samples.length) * 10) / 10;
+	}
+
+	/**
+	 * Save the current history session, with the settled speed when adaptive
+	 */
+	function endHistorySession() {
+		if (historySession && speedSettings.enabled) {
+			historySession.settledWpm = getSettledWpm();
+		}
+		finishHistorySession(historySession);
+		historySession = null;
+		resetStaircase();
+	}
+
+	for (const setting of ['step', 'target', 'min', 'max']) {
+		const slider = document.getElementById(`speed-${setting}`);
+		if (!slider) continue;
+		const output = document.querySelector(`output[for="speed-${setting}"]`);
+		slider.value = speedSettings[setting];
+		output.textContent = speedSettings[setting];
+		slider.addEventListener('input', (e) => {
+			speedSettings[setting] = parseInt(e.target.value);
+
+			// Keep min <= max
+			if (setting === 'min' && speedSettings.min > speedSettings.max) {
+				speedSettings.max = speedSettings.min;
+			} else if (setting === 'max' && speedSettings.max < speedSettings.min) {
+				speedSettings.min = speedSettings.max;
+			}
+			for (const bound of ['min', 'max']) {
+				document.getElementById(`speed-${bound}`).value = speedSettings[bound];
+				document.querySelector(`output[for="speed-${bound}"]`).textContent = speedSettings[bound];
+			}
+			output.textContent = speedSettings[setting];
+			saveSpeedSettings();
+		});
+	}
+
+	if (adaptiveSpeedCheckbox) {
+		adaptiveSpeedCheckbox.checked = speedSettings.enabled;
+		speedPanel.style.display = speedSettings.enabled ? 'block' : 'none';
+		adaptiveSpeedCheckbox.addEventListener('change', (e) => {
+			speedSettings.enabled = e.target.checked;
+			speedPanel.style.display = speedSettings.enabled ? 'block' : 'none';
+			resetStaircase();
+			saveSpeedSettings();
+		});
+	}
+
 	// Update character count display
 	const charCountSlider = document.getElementById('char-count');
 	if (charCountSlider) {
@@ -80,8 +361,8 @@ document.addEventListener('DOMContentLoaded', () => {
 	const letterSelector = document.getElementById('letter-selector');
 	const numberSelector = document.getElementById('number-selector');
 
-	// Generate letter buttons
-	const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+	// Generate letter buttons (from the selected alphabet)
+	const letters = getAlphabet().letters;
 	if (letterSelector) {
 		for (let letter of letters) {
 			const btn = document.createElement('button');
@@ -123,15 +404,1047 @@ document.addEventListener('DOMContentLoaded', () => {
 		console.log('Custom characters:', Array.from(customCharacters).join(''));
 	}
 
+	//==========================================
+	// KOCH METHOD
+	//==========================================
+
+	const kochPanel = document.getElementById('koch-settings');
+	const kochOrderInput = document.getElementById('koch-order');
+	const kochThresholdSlider = document.getElementById('koch-threshold');
+	const kochWindowSlider = document.getElementById('koch-window');
+
+	/**
+	 * Normalize a Koch order string: uppercase, known characters only, no repeats
+	 * @param {string} order - Raw order entered by the user
+	 * @returns {string} Cleaned order
+	 */
+	function sanitizeKochOrder(order) {
+		let cleaned = '';
+		for (const char of order.toUpperCase()) {
+			if (morseCode[char] && !cleaned.includes(char)) {
+				cleaned += char;
+			}
+		}
+		return cleaned;
+	}
+
+	/**
+	 * Get the characters unlocked at the current Koch lesson
+	 * @returns {string} Lesson characters
+	 */
+	function getKochCharacters() {
+		return kochSettings.order.slice(0, kochLevel + 1);
+	}
+
+	/**
+	 * Number of lessons available for the current order
+	 * @returns {number} Lesson count
+	 */
+	function getKochLevelCount() {
+		return Math.max(1, kochSettings.order.length - 1);
+	}
+
+	function saveKochSettings() {
+		localStorage.setItem('vailTrainingKochSettings', JSON.stringify(kochSettings));
+	}
+
+	function saveKochLevel() {
+		localStorage.setItem('vailTrainingKochLevel', kochLevel);
+	}
+
+	/**
+	 * Rolling accuracy over the Koch window, or null until the window is full
+	 * @returns {number|null} Accuracy percentage
+	 */
+	function getRollingAccuracy() {
+		if (stats.recent.length < kochSettings.window) return null;
+		const correctCount = stats.recent.filter(result => result).length;
+		return Math.round((correctCount / stats.recent.length) * 100);
+	}
+
+	/**
+	 * Update the lesson number, character list and rolling accuracy display
+	 */
+	function renderKochLesson() {
+		document.getElementById('koch-level').textContent = kochLevel;
+		document.getElementById('koch-level-count').textContent = getKochLevelCount();
+
+		const charContainer = document.getElementById('koch-characters');
+		charContainer.innerHTML = '';
+		const lessonChars = getKochCharacters();
+		for (let i = 0; i < lessonChars.length; i++) {
+			const tag = document.createElement('span');
+			tag.className = 'button is-small is-static';
+			tag.textContent = lessonChars[i];
+			// Highlight the most recently added character
+			if (kochLevel > 1 && i === lessonChars.length - 1) {
+				tag.classList.add('is-new');
+			}
+			charContainer.appendChild(tag);
+		}
+
+		const rolling = document.getElementById('koch-rolling');
+		const accuracy = getRollingAccuracy();
+		rolling.textContent = accuracy === null
+			? `Recent: ${stats.recent.length}/${kochSettings.window}`
+			: `Recent: ${accuracy}%`;
+	}
+
+	/**
+	 * Record a Koch attempt and advance to the next lesson when the
+	 * rolling accuracy reaches the threshold
+	 * @returns {string|null} The newly added character, if the lesson advanced
+	 */
+	function updateKochProgress() {
+		const accuracy = getRollingAccuracy();
+		let newChar = null;
+
+		if (accuracy !== null && accuracy >= kochSettings.threshold && kochLevel < getKochLevelCount()) {
+			kochLevel++;
+			saveKochLevel();
+			stats.recent = [];
+			newChar = kochSettings.order.charAt(kochLevel);
+			console.log('Koch lesson advanced to', kochLevel, '- new character:', newChar);
+		}
+
+		renderKochLesson();
+		return newChar;
+	}
+
+	// Load saved Koch settings and lesson
+	const savedKochSettings = localStorage.getItem('vailTrainingKochSettings');
+	if (savedKochSettings !== null) {
+		try {
+			kochSettings = { ...kochSettings, ...JSON.parse(savedKochSettings) };
+			kochSettings.order = sanitizeKochOrder(kochSettings.order) || kochOrder;
+		} catch (err) {
+			console.log('Ignoring invalid Koch settings:', err.message);
+		}
+	}
+	const savedKochLevel = localStorage.getItem('vailTrainingKochLevel');
+	if (savedKochLevel !== null) {
+		kochLevel = Math.min(Math.max(1, parseInt(savedKochLevel) || 1), getKochLevelCount());
+		console.log('Loaded Koch lesson from localStorage:', kochLevel);
+	}
+
+	if (kochOrderInput) {
+		kochOrderInput.value = kochSettings.order;
+		kochOrderInput.addEventListener('change', (e) => {
+			const order = sanitizeKochOrder(e.target.value);
+			if (order.length < 2) {
+				alert('The Koch order needs at least two different characters.');
+				e.target.value = kochSettings.order;
+				return;
+			}
+			kochSettings.order = order;
+			e.target.value = order;
+			kochLevel = Math.min(kochLevel, getKochLevelCount());
+			stats.recent = [];
+			saveKochSettings();
+			saveKochLevel();
+			renderKochLesson();
+		});
+	}
+
+	const kochDefaultBtn = document.getElementById('koch-order-default');
+	if (kochDefaultBtn) {
+		kochDefaultBtn.addEventListener('click', (e) => {
+			e.preventDefault();
+			kochOrderInput.value = kochOrder;
+			kochOrderInput.dispatchEvent(new Event('change'));
+		});
+	}
+
+	const kochResetBtn = document.getElementById('koch-reset');
+	if (kochResetBtn) {
+		kochResetBtn.addEventListener('click', (e) => {
+			e.preventDefault();
+			if (!confirm('Go back to Koch lesson 1?')) return;
+			kochLevel = 1;
+			stats.recent = [];
+			saveKochLevel();
+			renderKochLesson();
+		});
+	}
+
+	if (kochThresholdSlider) {
+		const thresholdOutput = document.querySelector('output[for="koch-threshold"]');
+		kochThresholdSlider.value = kochSettings.threshold;
+		thresholdOutput.textContent = kochSettings.threshold;
+		kochThresholdSlider.addEventListener('input', (e) => {
+			kochSettings.threshold = parseInt(e.target.value);
+			thresholdOutput.textContent = kochSettings.threshold;
+			saveKochSettings();
+		});
+	}
+
+	if (kochWindowSlider) {
+		const windowOutput = document.querySelector('output[for="koch-window"]');
+		kochWindowSlider.value = kochSettings.window;
+		windowOutput.textContent = kochSettings.window;
+		kochWindowSlider.addEventListener('input', (e) => {
+			kochSettings.window = parseInt(e.target.value);
+			windowOutput.textContent = kochSettings.window;
+			stats.recent = stats.recent.slice(-kochSettings.window);
+			saveKochSettings();
+			renderKochLesson();
+		});
+	}
+
+	//==========================================
+	// CONFUSION TRACKING
+	//==========================================
+
+	// Expected character -> { typed character -> count }, '' means nothing was typed
+	let confusionHistory = {};
+	let adaptiveEnabled = false;
+
+	const weakCharacters = document.getElementById('weak-characters');
+	const confusionMatrix = document.getElementById('confusion-matrix');
+	const toggleMatrixBtn = document.getElementById('toggle-matrix-btn');
+	const clearConfusionBtn = document.getElementById('clear-confusion-btn');
+	const adaptiveCheckbox = document.getElementById('adaptive-chars');
+
+	const savedConfusion = localStorage.getItem('vailTrainingCopyConfusion');
+	if (savedConfusion !== null) {
+		try {
+			confusionHistory = JSON.parse(savedConfusion);
+		} catch (err) {
+			console.log('Ignoring invalid confusion history:', err.message);
+		}
+	}
+
+	/**
+	 * Escape text for insertion into HTML
+	 * @param {string} text - Raw text
+	 * @returns {string} Escaped text
+	 */
+	function escapeHtml(text) {
+		return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+	}
+
+	/**
+	 * Record sent-vs-typed pairs for every sent character of an answer
+	 * Extra typed characters have nothing sent to count against and are left out.
+	 * @param {Object[]} ops - What was typed aligned against what was sent, from alignText()
+	 */
+	function recordConfusion(ops) {
+		for (const op of ops) {
+			if (op.type === 'insert' || op.sent === ' ') continue;
+			const sent = op.sent;
+			const received = op.copied;
+			if (!confusionHistory[sent]) confusionHistory[sent] = {};
+			confusionHistory[sent][received] = (confusionHistory[sent][received] || 0) + 1;
+		}
+		localStorage.setItem('vailTrainingCopyConfusion', JSON.stringify(confusionHistory));
+		renderConfusion();
+	}
+
+	/**
+	 * Summarize the history for one character
+	 * @param {string} char - Expected character
+	 * @returns {Object} seen, correct and error counts plus the most common mistake
+	 */
+	function getCharacterSummary(char) {
+		const row = confusionHistory[char] || {};
+		let seen = 0;
+		let topMistake = null;
+		for (const [typed, count] of Object.entries(row)) {
+			seen += count;
+			if (typed !== char && (!topMistake || count > row[topMistake])) {
+				topMistake = typed;
+			}
+		}
+		const correct = row[char] || 0;
+		return { seen, correct, errors: seen - correct, topMistake };
+	}
+
+	/**
+	 * Pick a random character, favoring weak characters when adaptive mode is on
+	 * @param {string} characters - Pool to pick from
+	 * @returns {string} Chosen character
+	 */
+	function pickCharacter(characters) {
+		if (!adaptiveEnabled) {
+			return characters.charAt(Math.floor(Math.random() * characters.length));
+		}
+
+		// Smoothed error rate: unseen characters count as slightly weak so they still come up
+		const weights = characters.split('').map(char => {
+			const { seen, errors } = getCharacterSummary(char);
+			return 1 + 4 * ((errors + 1) / (seen + 5));
+		});
+		const total = weights.reduce((sum, weight) => sum + weight, 0);
+		let target = Math.random() * total;
+		for (let i = 0; i < characters.length; i++) {
+			target -= weights[i];
+			if (target < 0) return characters.charAt(i);
+		}
+		return characters.charAt(characters.length - 1);
+	}
+
+	/**
+	 * Render the weak character table and confusion matrix
+	 */
+	function renderConfusion() {
+		if (!weakCharacters) return;
+
+		const weak = Object.keys(confusionHistory)
+			.map(char => ({ char, ...getCharacterSummary(char) }))
+			.filter(item => item.errors > 0)
+			.sort((a, b) => (a.correct / a.seen) - (b.correct / b.seen) || b.errors - a.errors);
+
+		if (weak.length === 0) {
+			weakCharacters.innerHTML = '<p class="is-size-7 has-text-grey">No mistakes recorded yet.</p>';
+			confusionMatrix.innerHTML = '';
+			return;
+		}
+
+		const formatTyped = typed => typed === '' ? '(none)' : escapeHtml(typed);
+
+		let html = '<table class="confusion-table"><thead><tr>' +
+			'<th>Char</th><th>Seen</th><th>Accuracy</th><th>Often heard as</th>' +
+			'</tr></thead><tbody>';
+		for (const item of weak.slice(0, 10)) {
+			const accuracy = Math.round((item.correct / item.seen) * 100);
+			html += `<tr><td class="char-cell">${escapeHtml(item.char)}</td><td>${item.seen}</td>` +
+				`<td>${accuracy}%</td><td class="char-cell">${formatTyped(item.topMistake)}</td></tr>`;
+		}
+		html += '</tbody></table>';
+		weakCharacters.innerHTML = html;
+
+		// Matrix: rows are sent characters with errors, columns are what was typed instead
+		const columns = new Set();
+		for (const item of weak) {
+			for (const typed of Object.keys(confusionHistory[item.char])) {
+				if (typed !== item.char) columns.add(typed);
+			}
+		}
+		const columnList = Array.from(columns).sort();
+
+		let matrix = '<table class="confusion-table"><thead><tr><th>Sent</th>';
+		for (const typed of columnList) {
+			matrix += `<th class="char-cell">${typed === '' ? '∅' : escapeHtml(typed)}</th>`;
+		}
+		matrix += '</tr></thead><tbody>';
+		for (const item of weak.slice().sort((a, b) => a.char.localeCompare(b.char))) {
+			matrix += `<tr><td class="char-cell">${escapeHtml(item.char)}</td>`;
+			for (const typed of columnList) {
+				const count = confusionHistory[item.char][typed] || 0;
+				matrix += count ? `<td class="is-hit">${count}</td>` : '<td></td>';
+			}
+			matrix += '</tr>';
+		}
+		matrix += '</tbody></table>';
+		confusionMatrix.innerHTML = matrix;
+	}
+
+	if (toggleMatrixBtn) {
+		toggleMatrixBtn.addEventListener('click', () => {
+			const showing = confusionMatrix.style.display !== 'none';
+			confusionMatrix.style.display = showing ? 'none' : 'block';
+			toggleMatrixBtn.querySelector('span:last-child').textContent = showing ? 'Show Matrix' : 'Hide Matrix';
+		});
+	}
+
+	if (clearConfusionBtn) {
+		clearConfusionBtn.addEventListener('click', () => {
+			if (!confirm('Clear your character history?')) return;
+			confusionHistory = {};
+			localStorage.removeItem('vailTrainingCopyConfusion');
+			renderConfusion();
+		});
+	}
+
+	if (adaptiveCheckbox) {
+		adaptiveEnabled = localStorage.getItem('vailTrainingCopyAdaptive') === 'true';
+		adaptiveCheckbox.checked = adaptiveEnabled;
+		adaptiveCheckbox.addEventListener('change', (e) => {
+			adaptiveEnabled = e.target.checked;
+			localStorage.setItem('vailTrainingCopyAdaptive', adaptiveEnabled);
+		});
+	}
+
+	renderConfusion();
+
+	//==========================================
+	// SPACED REPETITION
+	//==========================================
+
+	const srsContainer = document.getElementById('srs-container');
+	const srsCheckbox = document.getElementById('srs-enabled');
+	const srsDue = document.getElementById('srs-due');
+	const srsModes = ['words', 'callsigns', 'qcodes'];
+	let srsEnabled = false;
+
+	function isSrsActive(mode) {
+		return srsEnabled && srsModes.includes(mode);
+	}
+
+	/**
+	 * Pick the next word, callsign or Q code from the mode's deck
+	 */
+	function pickSrsAnswer(mode) {
+		const deck = loadSrsDeck(mode);
+		switch (mode) {
+			case 'words':
+				return pickSrsItem(deck, Array.from(new Set(commonWords)));
+			case 'callsigns':
+				return pickSrsItem(deck, generateCallsign);
+			case 'qcodes':
+				return pickSrsItem(deck, qCodes);
+		}
+	}
+
+	/**
+	 * Update the current item's schedule from the first answer given
+	 */
+	function gradeSrsAnswer(mode, isCorrect) {
+		if (!isSrsActive(mode)) return;
+
+		const responseMs = playbackEndsAt ? Math.max(0, Date.now() - playbackEndsAt) : 0;
+		const deck = loadSrsDeck(mode);
+		const card = gradeSrsItem(deck, currentAnswer, getSrsQuality(isCorrect, responseMs));
+		saveSrsDeck(mode, deck);
+		console.log('SRS:', currentAnswer, 'next due in', card.interval, 'days (ease', card.ease.toFixed(2) + ')');
+		renderSrsDue();
+	}
+
+	function renderSrsDue() {
+		if (!srsDue) return;
+		const mode = practiceMode.value;
+		if (!srsModes.includes(mode)) return;
+		const deck = loadSrsDeck(mode);
+		srsDue.textContent = `Due today: ${countSrsDueToday(deck)} · Learned: ${Object.keys(deck).length}`;
+	}
+
+	if (srsCheckbox) {
+		srsEnabled = localStorage.getItem('vailTrainingCopySrs') === 'true';
+		srsCheckbox.checked = srsEnabled;
+		srsCheckbox.addEventListener('change', (e) => {
+			srsEnabled = e.target.checked;
+			localStorage.setItem('vailTrainingCopySrs', srsEnabled);
+		});
+	}
+
+	//==========================================
+	// INSTANT CHARACTER RECOGNITION
+	//==========================================
+
+	const icrPanel = document.getElementById('icr-settings');
+	const icrCharsetSelect = document.getElementById('icr-charset');
+	const icrLimitSlider = document.getElementById('icr-limit');
+	const icrLatencyBox = document.getElementById('icr-latency-box');
+	const icrLatencyChart = document.getElementById('icr-latency-chart');
+	const icrClearBtn = document.getElementById('icr-clear-btn');
+	const icrSamples = 20; // Recent times kept per character
+
+	let icrSettings = {
+		charset: 'letters',
+		limit: 1000 // Slowest passing answer (ms after the character ends)
+	};
+	let icrLatency = {}; // Character -> recent recognition times (ms)
+	let icrWaiting = false; // Waiting for the first keypress
+	let icrTimeout = null;
+
+	const savedIcrSettings = localStorage.getItem('vailTrainingIcrSettings');
+	if (savedIcrSettings !== null) {
+		try {
+			icrSettings = { ...icrSettings, ...JSON.parse(savedIcrSettings) };
+		} catch (err) {
+			console.log('Ignoring invalid ICR settings:', err.message);
+		}
+	}
+	const savedIcrLatency = localStorage.getItem('vailTrainingIcrLatency');
+	if (savedIcrLatency !== null) {
+		try {
+			icrLatency = JSON.parse(savedIcrLatency);
+		} catch (err) {
+			console.log('Ignoring invalid ICR times:', err.message);
+		}
+	}
+
+	function saveIcrSettings() {
+		localStorage.setItem('vailTrainingIcrSettings', JSON.stringify(icrSettings));
+	}
+
+	function getIcrCharacters() {
+		switch (icrSettings.charset) {
+			case 'numbers':
+				return numbers;
+			case 'mixed':
+				return letters + numbers;
+			case 'koch':
+				return getKochCharacters();
+			case 'custom':
+				return Array.from(customCharacters).join('');
+			default:
+				return letters;
+		}
+	}
+
+	/**
+	 * Repeat and Check don't apply in ICR mode - the first keypress is the answer.
+	 * A stream can't be repeated, only checked. Multiple choice answers with buttons.
+	 */
+	function updateModeControls() {
+		const mode = practiceMode.value;
+		repeatBtn.disabled = !isPracticing || mode === 'icr' || mode === 'stream';
+		checkBtn.disabled = !isPracticing || mode === 'icr' || isAbbrChoiceMode();
+	}
+
+	function cancelIcr() {
+		icrWaiting = false;
+		clearTimeout(icrTimeout);
+	}
+
+	/**
+	 * Play the current character and start the clock when it ends
+	 */
+	function startIcrItem() {
+		cancelIcr();
+		icrWaiting = true;
+		answerInput.value = '';
+		playCurrentMorse().finished.then(completed => {
+			if (!completed || !icrWaiting) return;
+			icrTimeout = setTimeout(() => answerIcr(''), icrSettings.limit);
+		});
+	}
+
+	/**
+	 * Score the first keypress ('' when the time limit ran out)
+	 * @param {string} typed - Key pressed
+	 */
+	function answerIcr(typed) {
+		if (!icrWaiting) return;
+		cancelIcr();
+		stopMorseSequence();
+
+		// Keys pressed before the character ends count as instant
+		const latency = playbackEndsAt ? Math.max(0, Date.now() - playbackEndsAt) : 0;
+		const inTime = typed !== '' && latency <= icrSettings.limit;
+		const isCorrect = inTime && typed === currentAnswer;
+
+		// Correct answers record their time; misses by timeout count as the full limit.
+		// Wrong keys say nothing about recognition speed, so they only count as errors.
+		if (isCorrect) {
+			recordIcrLatency(currentAnswer, latency);
+		} else if (!inTime) {
+			recordIcrLatency(currentAnswer, icrSettings.limit);
+		}
+
+		stats.attempts++;
+		if (isCorrect) stats.correct++;
+		stats.recent.push(isCorrect);
+		stats.recent = stats.recent.slice(-kochSettings.window);
+		stats.accuracy = Math.round((stats.correct / stats.attempts) * 100);
+		document.getElementById('stat-attempts').textContent = stats.attempts;
+		document.getElementById('stat-correct').textContent = stats.correct;
+		document.getElementById('stat-accuracy').textContent = stats.accuracy + '%';
+
+		recordConfusion(alignText([currentAnswer], typed === '' ? [] : [typed]));
+		recordHistoryItem(historySession, currentAnswer, typed, isCorrect, { wpm: currentSpeed, latency: latency });
+		updateAdaptiveSpeed(isCorrect);
+
+		const notification = resultArea.querySelector('.notification');
+		if (isCorrect) {
+			resultText.textContent = `Correct! ${latency} ms`;
+		} else if (typed === '') {
+			resultText.textContent = 'Too slow!';
+		} else if (!inTime) {
+			resultText.textContent = `Too slow! ${latency} ms`;
+		} else {
+			resultText.textContent = `You typed ${typed}`;
+		}
+		correctAnswer.textContent = `Answer: ${currentAnswer}`;
+		if (notification) {
+			notification.classList.remove('is-success', 'is-warning', 'is-info');
+			notification.classList.add(isCorrect ? 'is-success' : 'is-warning');
+		}
+		resultArea.style.display = 'block';
+		displayMorse(currentAnswer, true, typed);
+
+		setTimeout(() => {
+			if (isPracticing && practiceMode.value === 'icr') {
+				resultArea.style.display = 'none';
+				generateNewProblem();
+			}
+		}, nextCharDelay);
+	}
+
+	function recordIcrLatency(char, latency) {
+		if (!icrLatency[char]) icrLatency[char] = [];
+		icrLatency[char].push(latency);
+		icrLatency[char] = icrLatency[char].slice(-icrSamples);
+		localStorage.setItem('vailTrainingIcrLatency', JSON.stringify(icrLatency));
+		renderIcrLatency();
+	}
+
+	/**
+	 * Chart average recognition time per character against the time limit
+	 */
+	function renderIcrLatency() {
+		if (!icrLatencyChart || icrLatencyBox.style.display === 'none') return;
+
+		const bars = Object.keys(icrLatency)
+			.filter(char => icrLatency[char].length > 0)
+			.sort()
+			.map(char => {
+				const times = icrLatency[char];
+				const average = Math.round(times.reduce((sum, ms) => sum + ms, 0) / times.length);
+				return {
+					label: char,
+					value: average,
+					color: average > icrSettings.limit * 0.8 ? CHART_COLORS.series[3] : CHART_COLORS.series[0]
+				};
+			});
+
+		drawBarChart(icrLatencyChart, {
+			bars: bars,
+			yLabel: 'ms',
+			limit: icrSettings.limit,
+			emptyMessage: 'No recognition times yet'
+		});
+	}
+
+	if (icrCharsetSelect) {
+		icrCharsetSelect.value = icrSettings.charset;
+		icrCharsetSelect.addEventListener('change', (e) => {
+			icrSettings.charset = e.target.value;
+			customSelection.style.display = icrSettings.charset === 'custom' ? 'block' : 'none';
+			saveIcrSettings();
+		});
+	}
+
+	if (icrLimitSlider) {
+		const limitOutput = document.querySelector('output[for="icr-limit"]');
+		icrLimitSlider.value = icrSettings.limit;
+		limitOutput.textContent = icrSettings.limit;
+		icrLimitSlider.addEventListener('input', (e) => {
+			icrSettings.limit = parseInt(e.target.value);
+			limitOutput.textContent = icrSettings.limit;
+			saveIcrSettings();
+			renderIcrLatency();
+		});
+	}
+
+	if (icrClearBtn) {
+		icrClearBtn.addEventListener('click', () => {
+			if (!confirm('Clear your recognition times?')) return;
+			icrLatency = {};
+			localStorage.removeItem('vailTrainingIcrLatency');
+			renderIcrLatency();
+		});
+	}
+
+	window.addEventListener('resize', renderIcrLatency);
+
+	//==========================================
+	// CONTINUOUS STREAM
+	//==========================================
+
+	const streamPanel = document.getElementById('stream-settings');
+	const streamContentSelect = document.getElementById('stream-content');
+	const streamDurationSlider = document.getElementById('stream-duration');
+	const streamBlock = document.getElementById('stream-block');
+	const streamInput = document.getElementById('stream-input');
+	const streamResults = document.getElementById('stream-results');
+	const answerBlock = document.getElementById('answer-block');
+
+	let streamSettings = {
+		content: 'groups', // 'groups', 'words' or 'sentences'
+		duration: 60       // seconds
+	};
+	let streamState = null; // Stream currently playing or waiting to be checked
+
+	const savedStreamSettings = localStorage.getItem('vailTrainingStreamSettings');
+	if (savedStreamSettings !== null) {
+		try {
+			streamSettings = { ...streamSettings, ...JSON.parse(savedStreamSettings) };
+		} catch (err) {
+			console.log('Ignoring invalid stream settings:', err.message);
+		}
+	}
+
+	function saveStreamSettings() {
+		localStorage.setItem('vailTrainingStreamSettings', JSON.stringify(streamSettings));
+	}
+
+	function generateStreamChunk() {
+		switch (streamSettings.content) {
+			case 'words':
+				return commonWords[Math.floor(Math.random() * commonWords.length)];
+			case 'sentences':
+				return practiceSentences[Math.floor(Math.random() * practiceSentences.length)];
+			default:
+				let group = '';
+				for (let i = 0; i < 5; i++) {
+					group += pickCharacter(letters + numbers);
+				}
+				return group;
+		}
+	}
+
+	function formatStreamTime(ms) {
+		const seconds = Math.max(0, Math.ceil(ms / 1000));
+		return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+	}
+
+	/**
+	 * Play chunks back to back, separated by a word gap, until the time is up
+	 * or the student presses Check
+	 */
+	async function runStream() {
+		const state = {
+			sent: [],
+			startedAt: Date.now(),
+			endsAt: Date.now() + streamSettings.duration * 1000,
+			finishedAt: null,
+			running: true,
+			scoreWhenDone: false,
+			playback: null,
+			timer: null
+		};
+		streamState = state;
+
+		streamInput.value = '';
+		streamInput.disabled = false;
+		streamInput.focus();
+		streamResults.style.display = 'none';
+		resultArea.style.display = 'none';
+
+		const updateTimer = () => {
+			morseVisual.innerHTML = `<span class="has-text-grey-light">Streaming... ${formatStreamTime(state.endsAt - Date.now())} left</span>`;
+		};
+		updateTimer();
+		state.timer = setInterval(updateTimer, 1000);
+
+		const wpm = parseInt(document.getElementById('practice-wpm').value) || 12;
+		const spacing = getSpacingOptions();
+		const wordGap = getTimingFromWPM(wpm, spacing.effectiveWpm, spacing.spacing).wordGap;
+
+		while (state.running && Date.now() < state.endsAt) {
+			const chunk = generateStreamChunk();
+			state.sent.push(chunk);
+			state.playback = playMorseSequence(chunk, wpm, '.recv-lamp', getPlaybackOptions());
+			if (!await state.playback.finished) break;
+			await new Promise(resolve => setTimeout(resolve, wordGap));
+		}
+
+		clearInterval(state.timer);
+		if (state !== streamState) return; // Stopped or replaced
+
+		state.running = false;
+		state.finishedAt = Date.now();
+		console.log('Stream finished:', state.sent.join(' '));
+
+		if (state.scoreWhenDone) {
+			scoreStream();
+		} else {
+			morseVisual.innerHTML = '<span class="has-text-grey-light">Time is up. Finish typing, then press Check Answer.</span>';
+		}
+	}
+
+	/**
+	 * Check pressed: score now, or after the chunk that is still playing
+	 */
+	function endStream() {
+		if (!streamState) return;
+		checkBtn.disabled = true;
+		if (streamState.running) {
+			streamState.running = false;
+			streamState.scoreWhenDone = true;
+			morseVisual.innerHTML = '<span class="has-text-grey-light">Finishing the current word...</span>';
+		} else {
+			scoreStream();
+		}
+	}
+
+	function cancelStream() {
+		if (!streamState) return;
+		clearInterval(streamState.timer);
+		if (streamState.playback) streamState.playback.stop();
+		streamState.running = false;
+		streamState = null;
+		streamInput.disabled = true;
+	}
+
+	/**
+	 * Align the copy against what was sent and show the results
+	 */
+	function scoreStream() {
+		const state = streamState;
+		const sent = normalizeCopyText(state.sent.join(' '));
+		const copied = normalizeCopyText(streamInput.value);
+		const ops = alignText(sent, copied);
+		const summary = summarizeAlignment(ops);
+
+		// Copied speed: correctly copied characters, 5 per word, over the time the stream played
+		const minutes = (state.finishedAt - state.startedAt) / 60000;
+		const copiedWpm = minutes > 0 ? Math.round((summary.matches / 5 / minutes) * 10) / 10 : 0;
+
+		stats.attempts += summary.sent;
+		stats.correct += summary.matches;
+		stats.accuracy = stats.attempts > 0 ? Math.round((stats.correct / stats.attempts) * 100) : 0;
+		document.getElementById('stat-attempts').textContent = stats.attempts;
+		document.getElementById('stat-correct').textContent = stats.correct;
+		document.getElementById('stat-accuracy').textContent = stats.accuracy + '%';
+
+		recordConfusion(ops);
+		recordHistoryItem(historySession, sent, copied, null, {
+			wpm: currentSpeed,
+			copiedWpm: copiedWpm,
+			accuracy: summary.accuracy
+		});
+		if (historySession) {
+			// Score the session by character rather than by stream
+			historySession.attempts += summary.sent;
+			historySession.correct += summary.matches;
+		}
+
+		renderStreamResults(ops, summary, copiedWpm);
+		streamState = null;
+		stopPractice();
+	}
+
+	function renderStreamResults(ops, summary, copiedWpm) {
+		const showChar = char => char === ' ' ? '\u2423' : escapeHtml(char);
+		let text = '';
+		for (const op of ops) {
+			if (op.type === 'match') {
+				text += escapeHtml(op.copied);
+			} else if (op.type === 'substitute') {
+				text += `<span class="align-sub" title="Sent ${escapeHtml(op.sent)}">${showChar(op.copied)}</span>`;
+			} else if (op.type === 'miss') {
+				text += `<span class="align-miss" title="Missed">${showChar(op.sent)}</span>`;
+			} else {
+				text += `<span class="align-insert" title="Not sent">${showChar(op.copied)}</span>`;
+			}
+		}
+
+		streamResults.innerHTML =
+			`<div class="alignment-text">${text}</div>` +
+			'<p class="is-size-7 mt-2">' +
+				'<span class="align-miss">missed</span> &middot; ' +
+				'<span class="align-sub">wrong</span> (hover to see what was sent) &middot; ' +
+				'<span class="align-insert">extra</span>' +
+			'</p>' +
+			'<div class="columns is-mobile mt-3 has-text-centered">' +
+				`<div class="column"><p class="heading">Accuracy</p><p class="title is-5">${summary.accuracy}%</p></div>` +
+				`<div class="column"><p class="heading">Copied</p><p class="title is-5">${copiedWpm} WPM</p></div>` +
+				`<div class="column"><p class="heading">Missed</p><p class="title is-5">${summary.misses}</p></div>` +
+				`<div class="column"><p class="heading">Wrong</p><p class="title is-5">${summary.substitutions}</p></div>` +
+				`<div class="column"><p class="heading">Extra</p><p class="title is-5">${summary.insertions}</p></div>` +
+			'</div>';
+		streamResults.style.display = 'block';
+	}
+
+	if (streamContentSelect) {
+		streamContentSelect.value = streamSettings.content;
+		streamContentSelect.addEventListener('change', (e) => {
+			streamSettings.content = e.target.value;
+			saveStreamSettings();
+		});
+	}
+
+	if (streamDurationSlider) {
+		const durationOutput = document.querySelector('output[for="stream-duration"]');
+		streamDurationSlider.value = streamSettings.duration;
+		durationOutput.textContent = streamSettings.duration;
+		streamDurationSlider.addEventListener('input', (e) => {
+			streamSettings.duration = parseInt(e.target.value);
+			durationOutput.textContent = streamSettings.duration;
+			saveStreamSettings();
+		});
+	}
+
+	//==========================================
+	// ABBREVIATION QUIZ
+	//==========================================
+
+	const abbrPanel = document.getElementById('abbr-settings');
+	const abbrTypeSelect = document.getElementById('abbr-type');
+	const abbrAnswerSelect = document.getElementById('abbr-answer');
+	const abbrSummary = document.getElementById('abbr-summary');
+	const abbrBlock = document.getElementById('abbr-block');
+	const abbrChoices = document.getElementById('abbr-choices');
+
+	let abbrSettings = {
+		type: 'all',     // 'all', 'qcode', 'abbreviation' or 'phrase'
+		answer: 'choice' // 'choice' or 'typed'
+	};
+	let currentAbbreviation = null; // Item being asked
+	let abbrWaiting = false; // Waiting for the meaning
+
+	const savedAbbrSettings = localStorage.getItem('vailTrainingAbbreviationSettings');
+	if (savedAbbrSettings !== null) {
+		try {
+			abbrSettings = { ...abbrSettings, ...JSON.parse(savedAbbrSettings) };
+		} catch (err) {
+			console.log('Ignoring invalid abbreviation settings:', err.message);
+		}
+	}
+
+	function saveAbbrSettings() {
+		localStorage.setItem('vailTrainingAbbreviationSettings', JSON.stringify(abbrSettings));
+	}
+
+	function isAbbrChoiceMode() {
+		return practiceMode.value === 'abbreviations' && abbrSettings.answer === 'choice';
+	}
+
+	/**
+	 * Stream mode copies into a text area and multiple choice answers with
+	 * buttons; every other mode uses the answer box
+	 */
+	function updateAnswerBlocks() {
+		const mode = practiceMode.value;
+		streamBlock.style.display = mode === 'stream' ? 'block' : 'none';
+		abbrBlock.style.display = isAbbrChoiceMode() ? 'block' : 'none';
+		answerBlock.style.display = mode === 'stream' || isAbbrChoiceMode() ? 'none' : 'block';
+		answerInput.placeholder = mode === 'abbreviations' ? 'Type the meaning...' : 'Type what you heard...';
+	}
+
+	function cancelAbbreviation() {
+		abbrWaiting = false;
+		abbrChoices.innerHTML = '';
+	}
+
+	/**
+	 * Play the next abbreviation and offer its meanings
+	 */
+	function startAbbreviationItem() {
+		currentAbbreviation = pickAbbreviation('meaning', abbrSettings.type, currentAnswer);
+		currentAnswer = currentAbbreviation.text;
+		console.log('Generated abbreviation:', currentAnswer);
+		abbrWaiting = true;
+
+		abbrChoices.innerHTML = '';
+		if (abbrSettings.answer === 'choice') {
+			getAbbreviationChoices(currentAbbreviation).forEach((meaning, index) => {
+				const btn = document.createElement('button');
+				btn.className = 'button';
+				btn.textContent = `${index + 1}. ${meaning}`;
+				btn.dataset.meaning = meaning;
+				btn.addEventListener('click', () => answerAbbreviation(meaning));
+				abbrChoices.appendChild(btn);
+			});
+		}
+
+		displayMorse(currentAnswer);
+		playCurrentMorse();
+	}
+
+	/**
+	 * Score a chosen or typed meaning, show the answer and move on
+	 * @param {string} answer - Meaning chosen or typed
+	 */
+	function answerAbbreviation(answer) {
+		if (!abbrWaiting) return;
+		abbrWaiting = false;
+		stopMorseSequence();
+
+		const item = currentAbbreviation;
+		const isCorrect = abbrSettings.answer === 'choice'
+			? answer === item.meaning
+			: isAbbreviationMeaningMatch(answer, item);
+
+		stats.attempts++;
+		if (isCorrect) stats.correct++;
+		stats.recent.push(isCorrect);
+		stats.recent = stats.recent.slice(-kochSettings.window);
+		stats.accuracy = Math.round((stats.correct / stats.attempts) * 100);
+		document.getElementById('stat-attempts').textContent = stats.attempts;
+		document.getElementById('stat-correct').textContent = stats.correct;
+		document.getElementById('stat-accuracy').textContent = stats.accuracy + '%';
+
+		recordAbbreviationResult('meaning', item.text, isCorrect);
+		recordHistoryItem(historySession, item.text, answer, isCorrect, { wpm: currentSpeed });
+		updateAdaptiveSpeed(isCorrect);
+		renderAbbrSummary();
+
+		for (const btn of abbrChoices.children) {
+			btn.disabled = true;
+			if (btn.dataset.meaning === item.meaning) {
+				btn.classList.add('is-success');
+			} else if (btn.dataset.meaning === answer) {
+				btn.classList.add('is-danger');
+			}
+		}
+
+		const notification = resultArea.querySelector('.notification');
+		resultText.textContent = isCorrect ? 'Correct!' : 'Not quite';
+		correctAnswer.textContent = `${item.text} = ${item.meaning}`;
+		if (notification) {
+			notification.classList.remove('is-success', 'is-warning', 'is-info');
+			notification.classList.add(isCorrect ? 'is-success' : 'is-warning');
+		}
+		resultArea.style.display = 'block';
+		displayMorse(currentAnswer, true);
+
+		setTimeout(() => {
+			if (isPracticing && practiceMode.value === 'abbreviations') {
+				resultArea.style.display = 'none';
+				answerInput.value = '';
+				generateNewProblem();
+			}
+		}, nextCharDelay);
+	}
+
+	function renderAbbrSummary() {
+		if (!abbrSummary) return;
+		const summary = summarizeAbbreviationResults('meaning', abbrSettings.type);
+		abbrSummary.textContent = `Known: ${summary.known} of ${summary.total}` +
+			(summary.weakest.length > 0 ? ` · Needs work: ${summary.weakest.join(', ')}` : '');
+	}
+
+	if (abbrTypeSelect) {
+		abbrTypeSelect.value = abbrSettings.type;
+		abbrTypeSelect.addEventListener('change', (e) => {
+			abbrSettings.type = e.target.value;
+			saveAbbrSettings();
+			renderAbbrSummary();
+		});
+	}
+
+	if (abbrAnswerSelect) {
+		abbrAnswerSelect.value = abbrSettings.answer;
+		abbrAnswerSelect.addEventListener('change', (e) => {
+			abbrSettings.answer = e.target.value;
+			saveAbbrSettings();
+			updateAnswerBlocks();
+			updateModeControls();
+			if (isPracticing && practiceMode.value === 'abbreviations') {
+				resultArea.style.display = 'none';
+				generateNewProblem();
+			}
+		});
+	}
+
+	// Keys 1-4 pick a multiple choice answer
+	document.addEventListener('keydown', (e) => {
+		if (!isPracticing || !abbrWaiting || !isAbbrChoiceMode()) return;
+		const choice = abbrChoices.children[parseInt(e.key) - 1];
+		if (choice) {
+			e.preventDefault();
+			choice.click();
+		}
+	});
+
+	renderAbbrSummary();
+
 	// Show/hide custom selection and character count based on mode
 	const charCountContainer = document.getElementById('char-count-container');
 	const cwaSessionContainer = document.getElementById('cwa-session-container');
+	const adaptiveContainer = document.getElementById('adaptive-container');
+	const wordListPanel = document.getElementById('wordlist-settings');
+	const callsignPanel = document.getElementById('callsign-settings');
 	if (practiceMode) {
 		practiceMode.addEventListener('change', (e) => {
 			const mode = e.target.value;
 
-			// Show custom selection for custom mode
-			if (mode === 'custom') {
+			// Show custom selection for custom mode (or ICR with a custom character set)
+			if (mode === 'custom' || (mode === 'icr' && icrSettings.charset === 'custom')) {
 				customSelection.style.display = 'block';
 			} else {
 				customSelection.style.display = 'none';
@@ -144,13 +1457,64 @@ document.addEventListener('DOMContentLoaded', () => {
 				cwaSessionContainer.style.display = 'none';
 			}
 
-			// Show character count for letters, numbers, mixed, custom, and cwacademy
+			// Show lesson progress for Koch mode
+			if (mode === 'koch') {
+				kochPanel.style.display = 'block';
+				renderKochLesson();
+			} else {
+				kochPanel.style.display = 'none';
+			}
+
+			// Show ICR settings and recognition times for ICR mode
+			icrPanel.style.display = mode === 'icr' ? 'block' : 'none';
+			icrLatencyBox.style.display = mode === 'icr' ? 'block' : 'none';
+			renderIcrLatency();
+
+			// Show list picker and import for custom word lists
+			wordListPanel.style.display = mode === 'wordlist' ? 'block' : 'none';
+
+			// Regions, portable/prefixed calls and difficulty for callsigns
+			callsignPanel.style.display = mode === 'callsigns' ? 'block' : 'none';
+
+			// Stream mode types into a free text area instead of the answer box
+			streamPanel.style.display = mode === 'stream' ? 'block' : 'none';
+
+			// Abbreviation meanings are chosen from buttons or typed
+			abbrPanel.style.display = mode === 'abbreviations' ? 'block' : 'none';
+			updateAnswerBlocks();
+
+			// Rolling accuracy only makes sense within a single mode
+			stats.recent = [];
+
+			// Record each mode as its own history session
+			if (isPracticing) {
+				endHistorySession();
+				historySession = createHistorySession('copy', mode, currentSpeed);
+			}
+
+			// Show character count and adaptive weighting for letters, numbers, mixed, custom, koch, and cwacademy
 			// Hide for words, callsigns, and qcodes
-			if (['letters', 'numbers', 'mixed', 'custom', 'cwacademy'].includes(mode)) {
+			if (['letters', 'numbers', 'mixed', 'custom', 'koch', 'cwacademy'].includes(mode)) {
 				charCountContainer.style.display = 'block';
+				adaptiveContainer.style.display = 'block';
 			} else {
 				charCountContainer.style.display = 'none';
+				adaptiveContainer.style.display = mode === 'icr' ? 'block' : 'none';
 			}
+
+			// Spaced repetition applies to words, callsigns, and qcodes
+			srsContainer.style.display = srsModes.includes(mode) ? 'block' : 'none';
+			renderSrsDue();
+
+			// ICR items, streams and abbreviations are scored differently, so start fresh when switching in or out
+			if (isPracticing && (mode === 'icr' || mode === 'stream' || mode === 'abbreviations' || icrWaiting || streamState || abbrWaiting)) {
+				cancelIcr();
+				cancelStream();
+				cancelAbbreviation();
+				resultArea.style.display = 'none';
+				generateNewProblem();
+			}
+			updateModeControls();
 		});
 	}
 
@@ -225,6 +1589,15 @@ document.addEventListener('DOMContentLoaded', () => {
 
 		// Spacebar to repeat morse when input is empty
 		answerInput.addEventListener('keydown', (e) => {
+			// ICR mode: the first key pressed is the answer
+			if (isPracticing && practiceMode.value === 'icr') {
+				if (e.key.length === 1) {
+					e.preventDefault();
+					if (e.key !== ' ') answerIcr(e.key.toUpperCase());
+				}
+				return;
+			}
+
 			if (e.code === 'Space' && answerInput.value === '' && !repeatBtn.disabled) {
 				e.preventDefault();
 				playCurrentMorse();
@@ -232,6 +1605,11 @@ document.addEventListener('DOMContentLoaded', () => {
 		});
 	}
 
+	// Save the session if the page is closed mid-practice
+	window.addEventListener('pagehide', () => {
+		endHistorySession();
+	});
+
 	function startPractice() {
 		console.log('Starting practice...');
 		isPracticing = true;
@@ -248,11 +1626,19 @@ document.addEventListener('DOMContentLoaded', () => {
 		answerInput.focus();
 		resultArea.style.display = 'none';
 
+		historySession = createHistorySession('copy', document.getElementById('practice-mode').value, currentSpeed);
+		updateModeControls();
+
 		generateNewProblem();
 	}
 
 	function stopPractice() {
 		isPracticing = false;
+		stopMorseSequence();
+		cancelIcr();
+		cancelStream();
+		cancelAbbreviation();
+		endHistorySession();
 		startBtn.disabled = false;
 		stopBtn.disabled = true;
 		repeatBtn.disabled = true;
@@ -264,16 +1650,27 @@ document.addEventListener('DOMContentLoaded', () => {
 	function generateNewProblem() {
 		const mode = document.getElementById('practice-mode').value;
 		let characters = '';
+		itemAnswered = false;
+		playbackEndsAt = 0;
+		lastAttempt = '';
+
+		if (isSrsActive(mode)) {
+			currentAnswer = pickSrsAnswer(mode);
+			console.log('Generated SRS item:', currentAnswer);
+			displayMorse(currentAnswer);
+			playCurrentMorse();
+			return;
+		}
 
 		switch (mode) {
 			case 'letters':
-				characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+				characters = letters;
 				break;
 			case 'numbers':
-				characters = '0123456789';
+				characters = numbers;
 				break;
 			case 'mixed':
-				characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+				characters = letters + numbers;
 				break;
 			case 'custom':
 				// Use custom selected characters
@@ -284,6 +1681,27 @@ document.addEventListener('DOMContentLoaded', () => {
 				}
 				characters = Array.from(customCharacters).join('');
 				break;
+			case 'koch':
+				characters = getKochCharacters();
+				break;
+			case 'stream':
+				// Continuous stream, scored when checked
+				console.log('Generated stream:', streamSettings.content, streamSettings.duration + 's');
+				runStream();
+				return;
+			case 'icr':
+				// Single character, answered by the first keypress
+				characters = getIcrCharacters();
+				if (characters.length === 0) {
+					alert('Please select at least one character to practice!');
+					stopPractice();
+					return;
+				}
+				currentAnswer = pickCharacter(characters);
+				console.log('Generated ICR character:', currentAnswer);
+				displayMorse(currentAnswer);
+				startIcrItem();
+				return;
 			case 'words':
 				// Generate a random word from the common words list
 				currentAnswer = commonWords[Math.floor(Math.random() * commonWords.length)];
@@ -298,6 +1716,36 @@ document.addEventListener('DOMContentLoaded', () => {
 				displayMorse(currentAnswer);
 				playCurrentMorse();
 				return;
+			case 'wordlist':
+				// Word or sentence from the selected custom list
+				currentAnswer = pickWordListItem(currentAnswer);
+				if (!currentAnswer) {
+					alert('Please import or select a word list first!');
+					stopPractice();
+					return;
+				}
+				console.log('Generated word list item:', currentAnswer);
+				displayMorse(currentAnswer);
+				playCurrentMorse();
+				return;
+			case 'punctuation':
+				// Punctuation in context
+				currentAnswer = generatePunctuationPractice();
+				console.log('Generated punctuation phrase:', currentAnswer);
+				displayMorse(currentAnswer);
+				playCurrentMorse();
+				return;
+			case 'prosigns':
+				// Prosigns in context
+				currentAnswer = generateProsignPractice();
+				console.log('Generated prosign phrase:', currentAnswer);
+				displayMorse(currentAnswer);
+				playCurrentMorse();
+				return;
+			case 'abbreviations':
+				// Play an abbreviation, answered with its meaning
+				startAbbreviationItem();
+				return;
 			case 'qcodes':
 				// Generate Q code
 				currentAnswer = generateQCode();
@@ -309,6 +1757,21 @@ document.addEventListener('DOMContentLoaded', () => {
 				// Generate characters from CW Academy session
 				const sessionNum = parseInt(document.getElementById('cwa-session').value);
 				const session = cwAcademySessions[sessionNum];
+				const cwaContent = document.getElementById('cwa-content').value;
+
+				// Words, callsigns and phrases using only the session's characters
+				if (cwaContent !== 'characters') {
+					currentAnswer = generateCwaContent(sessionNum, cwaContent);
+					if (!currentAnswer) {
+						alert(`Session ${sessionNum} doesn't have enough characters for ${cwaContent} yet. Try Characters or a later session.`);
+						stopPractice();
+						return;
+					}
+					console.log(`Generated CW Academy ${cwaContent}:`, currentAnswer, 'from session', sessionNum);
+					displayMorse(currentAnswer);
+					playCurrentMorse();
+					return;
+				}
 				const charCountSliderElement = document.getElementById('char-count');
 				const charCount = charCountSliderElement ? parseInt(charCountSliderElement.value) : 1;
 
@@ -331,18 +1794,18 @@ document.addEventListener('DOMContentLoaded', () => {
 
 				if (pickProsign) {
 					// Pick exactly ONE prosign
-					currentAnswer = session.prosigns[Math.floor(Math.random() * session.prosigns.length)];
+					currentAnswer = `<${session.prosigns[Math.floor(Math.random() * session.prosigns.length)]}>`;
 					console.log('Generated CW Academy prosign:', currentAnswer, 'from session', sessionNum);
 				} else {
 					// Pick N random characters based on character count slider
 					if (!hasChars) {
 						// Fallback to prosign if no chars available
-						currentAnswer = session.prosigns[Math.floor(Math.random() * session.prosigns.length)];
+						currentAnswer = `<${session.prosigns[Math.floor(Math.random() * session.prosigns.length)]}>`;
 						console.log('Generated CW Academy prosign (fallback):', currentAnswer, 'from session', sessionNum);
 					} else {
 						currentAnswer = '';
 						for (let i = 0; i < charCount; i++) {
-							currentAnswer += allChars.charAt(Math.floor(Math.random() * allChars.length));
+							currentAnswer += pickCharacter(allChars);
 						}
 						console.log('Generated CW Academy characters:', currentAnswer, 'from session', sessionNum);
 					}
@@ -352,7 +1815,7 @@ document.addEventListener('DOMContentLoaded', () => {
 				playCurrentMorse();
 				return;
 			default:
-				characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+				characters = letters;
 		}
 
 		// Generate random string using character count from slider
@@ -360,7 +1823,7 @@ document.addEventListener('DOMContentLoaded', () => {
 		const length = charCountSliderVal ? parseInt(charCountSliderVal.value) : 1;
 		currentAnswer = '';
 		for (let i = 0; i < length; i++) {
-			currentAnswer += characters.charAt(Math.floor(Math.random() * characters.length));
+			currentAnswer += pickCharacter(characters);
 		}
 
 		console.log('Generated answer:', currentAnswer);
@@ -368,31 +1831,135 @@ document.addEventListener('DOMContentLoaded', () => {
 		playCurrentMorse();
 	}
 
-	function displayMorse(text, show = false) {
-		// Never show morse code visually - it creates bad practice habits
-		morseVisual.innerHTML = '<span class="has-text-grey-light">Listen carefully...</span>';
+	const tapeDitWidth = 6; // Pixels per dit on the timing tape
+
+	/**
+	 * Show "Listen carefully..." while an item is being copied, or once it has been
+	 * answered, a tape of what was sent: every dit, dah and gap to scale with the
+	 * characters under it and the ones the student missed highlighted.
+	 * @param {string} text - Item that was sent
+	 * @param {boolean} show - Reveal the tape (only after the answer)
+	 * @param {string|null} typed - Student's answer, to highlight missed characters
+	 */
+	function displayMorse(text, show = false, typed = null) {
+		// Never show morse code while listening - it creates bad practice habits
+		if (!show) {
+			morseVisual.innerHTML = '<span class="has-text-grey-light">Listen carefully...</span>';
+			return;
+		}
+
+		const wpm = parseInt(document.getElementById('practice-wpm').value) || 12;
+		const spacing = getSpacingOptions();
+		const timing = getTimingFromWPM(wpm, spacing.effectiveWpm, spacing.spacing);
+		const schedule = buildMorseSchedule(text, timing);
+		const missed = getMissedCharacters(schedule.characters.map(c => c.token), typed);
+
+		// Fixed width per dit so the same speed always looks the same
+		const scale = tapeDitWidth / (timing.dit / 1000); // pixels per second
+		const width = Math.ceil(schedule.endTime * scale);
+		const place = (start, end) => `left: ${(start * scale).toFixed(1)}px; width: ${((end - start) * scale).toFixed(1)}px;`;
+
+		const marks = schedule.tones
+			.map(tone => `<span class="morse-tape-mark" style="${place(tone.start, tone.start + tone.duration / 1000)}"></span>`)
+			.join('');
+		const labels = schedule.characters
+			.map((char, i) => `<span class="morse-tape-char${missed.has(i) ? ' is-missed' : ''}" style="${place(char.start, char.end)}">${escapeHtml(char.token)}</span>`)
+			.join('');
+
+		morseVisual.innerHTML =
+			'<div class="morse-tape">' +
+				`<div class="morse-tape-track" style="width: ${width}px;">${marks}</div>` +
+				`<div class="morse-tape-labels" style="width: ${width}px;">${labels}</div>` +
+			'</div>';
+	}
+
+	/**
+	 * Which sent characters were missed or copied wrong
+	 * @param {string[]} tokens - Characters sent (prosigns as one token)
+	 * @param {string|null} typed - Student's answer (null: don't mark any)
+	 * @returns {Set<number>} Indexes into tokens
+	 */
+	function getMissedCharacters(tokens, typed) {
+		const missed = new Set();
+		if (typed === null) return missed;
+
+		const typedTokens = tokenizeMorseText(typed.toUpperCase()).filter(token => token !== ' ');
+		const ops = alignText(tokens.map(token => token.toUpperCase()), typedTokens);
+		let index = 0;
+		for (const op of ops) {
+			if (op.type === 'insert') continue;
+			if (op.type !== 'match') missed.add(index);
+			index++;
+		}
+		return missed;
 	}
 
+	/**
+	 * Play the current item, replacing anything still playing
+	 * @returns {MorsePlayback|undefined} Playback handle
+	 */
 	function playCurrentMorse() {
 		if (!currentAnswer) return;
 		const wpm = parseInt(document.getElementById('practice-wpm').value) || 12;
-		playMorseSequence(currentAnswer, wpm, '.recv-lamp');
+		const playback = playMorseSequence(currentAnswer, wpm, '.recv-lamp', getPlaybackOptions());
+		playback.finished.then(completed => {
+			// Response time is measured from the end of the first full playback
+			if (completed && !playbackEndsAt) {
+				playbackEndsAt = Date.now();
+			}
+		});
+		return playback;
 	}
 
 	function checkAnswer() {
-		const userAnswer = answerInput.value.toUpperCase().trim();
+		if (practiceMode.value === 'stream') {
+			endStream();
+			return;
+		}
+		if (practiceMode.value === 'abbreviations') {
+			answerAbbreviation(answerInput.value.trim());
+			return;
+		}
+
+		// The answer is in, so there's no need to hear the rest
+		stopMorseSequence();
+
+		const userAnswer = answerInput.value.toUpperCase().trim().replace(/\s+/g, ' ');
+		lastAttempt = userAnswer;
+		const isCorrect = normalizeProsignText(userAnswer) === normalizeProsignText(currentAnswer);
+		const mode = document.getElementById('practice-mode').value;
 		stats.attempts++;
 
+		// Keep a rolling window of results for Koch lesson advancement
+		stats.recent.push(isCorrect);
+		stats.recent = stats.recent.slice(-kochSettings.window);
+		const newKochChar = mode === 'koch' ? updateKochProgress() : null;
+
+		if (!itemAnswered) {
+			itemAnswered = true;
+			// Compare by token so a prosign counts as one character, and align so a
+			// dropped or extra character doesn't shift everything after it
+			const expectedTokens = tokenizeMorseText(currentAnswer.toUpperCase()).filter(token => token !== ' ');
+			const typedTokens = tokenizeMorseText(userAnswer).filter(token => token !== ' ');
+			recordConfusion(alignText(expectedTokens, isCorrect ? expectedTokens : typedTokens));
+			gradeSrsAnswer(mode, isCorrect);
+			updateAdaptiveSpeed(isCorrect);
+		}
+		recordHistoryItem(historySession, currentAnswer, userAnswer, isCorrect, { wpm: currentSpeed });
+
 		const notification = resultArea.querySelector('.notification');
 
-		if (userAnswer === currentAnswer) {
+		if (isCorrect) {
 			stats.correct++;
-			resultText.textContent = 'Correct!';
+			resultText.textContent = newKochChar
+				? `Correct! Lesson ${kochLevel} adds: ${newKochChar}`
+				: 'Correct!';
 			correctAnswer.textContent = `Answer: ${currentAnswer}`;
 			if (notification) {
 				notification.classList.remove('is-danger');
 				notification.classList.add('is-success');
 			}
+			displayMorse(currentAnswer, true, userAnswer);
 
 			stats.accuracy = Math.round((stats.correct / stats.attempts) * 100);
 
@@ -457,6 +2024,7 @@ document.addEventListener('DOMContentLoaded', () => {
 			notification.classList.add('is-info');
 		}
 		resultArea.style.display = 'block';
+		displayMorse(currentAnswer, true, lastAttempt);
 
 		// Hide show answer button, show continue button
 		showAnswerBtn.disabled = true;
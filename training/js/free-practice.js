@@ -127,7 +127,8 @@ document.addEventListener('DOMContentLoaded', () => {
 		outputText: '',
 		characterCount: 0,
 		wordCount: 0,
-		wakeLock: null
+		wakeLock: null,
+		historySession: null // Started with the first decoded character
 	};
 
 	/**
@@ -169,6 +170,8 @@ document.addEventListener('DOMContentLoaded', () => {
 	const freePracticeOutput = document.getElementById('free-practice-output');
 	const clearOutputBtn = document.getElementById('clear-output-btn');
 	const copyOutputBtn = document.getElementById('copy-output-btn');
+	const fistReportBtn = document.getElementById('fist-report-btn');
+	const fistReportBox = document.getElementById('fist-report-box');
 	const startRecordingBtn = document.getElementById('start-recording-btn');
 	const stopRecordingBtn = document.getElementById('stop-recording-btn');
 	const downloadRecordingBtn = document.getElementById('download-recording-btn');
@@ -326,6 +329,9 @@ document.addEventListener('DOMContentLoaded', () => {
 		// Copy Output button
 		copyOutputBtn.addEventListener('click', copyFreePracticeOutput);
 
+		// Fist Report button
+		if (fistReportBtn) fistReportBtn.addEventListener('click', showFreePracticeFistReport);
+
 		// Start Recording button
 		startRecordingBtn.addEventListener('click', startFreePracticeRecording);
 
@@ -341,6 +347,9 @@ document.addEventListener('DOMContentLoaded', () => {
 		// Request wake lock to keep screen on during practice
 		requestWakeLock();
 
+		// Save the session when the page is closed
+		window.addEventListener('pagehide', finishFreePracticeSession);
+
 		// Re-acquire wake lock when page becomes visible again
 		document.addEventListener('visibilitychange', async () => {
 			if (document.visibilityState === 'visible') {
@@ -355,6 +364,17 @@ document.addEventListener('DOMContentLoaded', () => {
 	 * Handle decoded character for Free Practice
 	 */
 	function onFreePracticeCharacter(char) {
+		// Record decoded characters to practice history (unscored)
+		if (!freePracticeState.historySession) {
+			const modeName = freeKeyerModeSelect.options[freeKeyerModeSelect.selectedIndex].text;
+			freePracticeState.historySession = createHistorySession('free', modeName, morseDecoder ? morseDecoder.getWPM() : null);
+		}
+		if (char !== ' ') {
+			recordHistoryItem(freePracticeState.historySession, '', char, null, {
+				wpm: morseDecoder ? morseDecoder.getWPM() : null
+			});
+		}
+
 		// Add character to output
 		freePracticeState.outputText += char;
 		freePracticeState.characterCount++;
@@ -399,10 +419,24 @@ document.addEventListener('DOMContentLoaded', () => {
 		console.log('Free Practice decoded character:', char);
 	}
 
+	/**
+	 * Save the current free practice session to history
+	 */
+	function finishFreePracticeSession() {
+		const session = freePracticeState.historySession;
+		if (!session) return;
+		session.text = freePracticeState.outputText;
+		session.words = freePracticeState.wordCount;
+		finishHistorySession(session);
+		freePracticeState.historySession = null;
+	}
+
 	/**
 	 * Clear output textarea
 	 */
 	function clearFreePracticeOutput() {
+		finishFreePracticeSession();
+
 		freePracticeState.outputText = '';
 		freePracticeState.characterCount = 0;
 		freePracticeState.wordCount = 0;
@@ -415,9 +449,24 @@ document.addEventListener('DOMContentLoaded', () => {
 		if (statCharacters) statCharacters.textContent = '0';
 		if (statWords) statWords.textContent = '0';
 
+		// Start a new fist report
+		if (morseDecoder) morseDecoder.clearFistData();
+		if (fistReportBox) fistReportBox.style.display = 'none';
+
 		console.log('Free Practice output cleared');
 	}
 
+	/**
+	 * Show the fist report for everything sent since the output was cleared
+	 */
+	function showFreePracticeFistReport() {
+		if (!morseDecoder || !renderFistReport(morseDecoder.getFistData())) {
+			alert('Send something first - the report is built from your key timings.');
+			return;
+		}
+		fistReportBox.scrollIntoView({ behavior: 'smooth' });
+	}
+
 	/**
 	 * Copy output to clipboard
 	 */
@@ -482,17 +531,17 @@ document.addEventListener('DOMContentLoaded', () => {
 			// Patch sounder to also output to recording gain node
 			morseSounder.on = function() {
 				originalOn();
-				// Connect oscillator to recording gain node if recording
-				if (freePracticeState.isRecording && this.oscillator) {
-					this.oscillator.connect(recordingGainNode);
+				// Connect tone source (after waveform filtering) to recording gain node if recording
+				if (freePracticeState.isRecording && this.source) {
+					this.source.connect(recordingGainNode);
 				}
 			};
 
 			morseSounder.off = function() {
 				// Disconnect from recording gain before stopping
-				if (this.oscillator && recordingGainNode) {
+				if (this.source && recordingGainNode) {
 					try {
-						this.oscillator.disconnect(recordingGainNode);
+						this.source.disconnect(recordingGainNode);
 					} catch (e) {
 						// Already disconnected
 					}
@@ -0,0 +1,184 @@
+// Vail Training Tools - Practice History Module
+// Charts, per-mode summary and export of stored practice sessions
+
+document.addEventListener('DOMContentLoaded', () => {
+	console.log('Practice History module loaded');
+
+	const pageNames = {
+		copy: 'Copy',
+		send: 'Send',
+		free: 'Free'
+	};
+
+	const historyFilter = document.getElementById('history-filter');
+	const accuracyChart = document.getElementById('accuracy-chart');
+	const speedChart = document.getElementById('speed-chart');
+	const sessionTableBody = document.querySelector('#session-table tbody');
+	const modeTableBody = document.querySelector('#mode-table tbody');
+
+	let allSessions = [];
+
+	/**
+	 * Format a duration in milliseconds as h:mm:ss or m:ss
+	 */
+	function formatDuration(ms) {
+		const totalSeconds = Math.round(ms / 1000);
+		const hours = Math.floor(totalSeconds / 3600);
+		const minutes = Math.floor((totalSeconds % 3600) / 60);
+		const seconds = String(totalSeconds % 60).padStart(2, '0');
+		return hours > 0
+			? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+			: `${minutes}:${seconds}`;
+	}
+
+	function formatDate(timestamp) {
+		return new Date(timestamp).toLocaleDateString();
+	}
+
+	/**
+	 * Sessions matching the current tool filter
+	 */
+	function getFilteredSessions() {
+		const filter = historyFilter.value;
+		return filter === 'all' ? allSessions : allSessions.filter(s => s.page === filter);
+	}
+
+	/**
+	 * Group sessions into chart series, one per tool + mode
+	 */
+	function buildSeries(sessions, valueKey) {
+		const groups = {};
+		for (const session of sessions) {
+			const value = session[valueKey];
+			if (value === null || value === undefined) continue;
+			const label = `${pageNames[session.page] || session.page}: ${session.mode}`;
+			if (!groups[label]) groups[label] = [];
+			groups[label].push({ x: session.startedAt, y: value });
+		}
+		return Object.entries(groups).map(([label, points]) => ({ label, points }));
+	}
+
+	function renderCharts(sessions) {
+		drawLineChart(accuracyChart, {
+			series: buildSeries(sessions, 'accuracy'),
+			yMin: 0,
+			yMax: 100,
+			yLabel: '%',
+			formatX: formatDate,
+			emptyMessage: 'No scored sessions yet'
+		});
+		drawLineChart(speedChart, {
+			series: buildSeries(sessions, 'wpm'),
+			yMin: 0,
+			yLabel: 'WPM',
+			formatX: formatDate,
+			emptyMessage: 'No sessions yet'
+		});
+	}
+
+	function renderTotals(sessions) {
+		const totalTime = sessions.reduce((sum, s) => sum + s.duration, 0);
+		const attempts = sessions.reduce((sum, s) => sum + s.attempts, 0);
+		const correct = sessions.reduce((sum, s) => sum + s.correct, 0);
+		const scoredAttempts = sessions.filter(s => s.accuracy !== null).reduce((sum, s) => sum + s.attempts, 0);
+
+		document.getElementById('stat-sessions').textContent = sessions.length;
+		document.getElementById('stat-time').textContent = formatDuration(totalTime);
+		document.getElementById('stat-attempts').textContent = attempts;
+		document.getElementById('stat-accuracy').textContent = scoredAttempts > 0
+			? `${Math.round((correct / scoredAttempts) * 100)}%`
+			: '--';
+	}
+
+	function renderModeTable(sessions) {
+		const modes = {};
+		for (const session of sessions) {
+			const key = `${pageNames[session.page] || session.page}: ${session.mode}`;
+			if (!modes[key]) modes[key] = { sessions: 0, attempts: 0, correct: 0, scored: false };
+			modes[key].sessions++;
+			if (session.accuracy !== null) {
+				modes[key].attempts += session.attempts;
+				modes[key].correct += session.correct;
+				modes[key].scored = true;
+			}
+		}
+
+		modeTableBody.innerHTML = '';
+		for (const [mode, totals] of Object.entries(modes)) {
+			const row = document.createElement('tr');
+			const accuracy = totals.scored && totals.attempts > 0
+				? `${Math.round((totals.correct / totals.attempts) * 100)}%`
+				: '--';
+			[mode, totals.sessions, accuracy].forEach(value => {
+				const cell = document.createElement('td');
+				cell.textContent = value;
+				row.appendChild(cell);
+			});
+			modeTableBody.appendChild(row);
+		}
+	}
+
+	function renderSessionTable(sessions) {
+		sessionTableBody.innerHTML = '';
+		for (const session of sessions.slice().reverse().slice(0, 50)) {
+			const row = document.createElement('tr');
+			[
+				new Date(session.startedAt).toLocaleString(),
+				pageNames[session.page] || session.page,
+				session.mode,
+				session.settledWpm ? `${session.wpm} (settled ${session.settledWpm})` : (session.wpm || '--'),
+				formatDuration(session.duration),
+				session.attempts,
+				session.accuracy !== null ? `${session.accuracy}%` : '--'
+			].forEach(value => {
+				const cell = document.createElement('td');
+				cell.textContent = value;
+				row.appendChild(cell);
+			});
+			sessionTableBody.appendChild(row);
+		}
+	}
+
+	function render() {
+		const sessions = getFilteredSessions();
+		renderCharts(sessions);
+		renderTotals(sessions);
+		renderModeTable(sessions);
+		renderSessionTable(sessions);
+	}
+
+	async function loadHistory() {
+		try {
+			allSessions = await getHistorySessions();
+			console.log('Loaded', allSessions.length, 'practice sessions');
+		} catch (err) {
+			console.log('Could not load practice history:', err.message);
+			allSessions = [];
+		}
+		render();
+	}
+
+	historyFilter.addEventListener('change', render);
+	window.addEventListener('resize', () => renderCharts(getFilteredSessions()));
+
+	document.getElementById('export-csv-btn').addEventListener('click', () => {
+		downloadTextFile(historyToCSV(getFilteredSessions()), 'vail-practice-history.csv', 'text/csv');
+	});
+
+	document.getElementById('export-json-btn').addEventListener('click', () => {
+		const json = JSON.stringify(getFilteredSessions(), null, 2);
+		downloadTextFile(json, 'vail-practice-history.json', 'application/json');
+	});
+
+	document.getElementById('clear-history-btn').addEventListener('click', async () => {
+		if (!confirm('Delete all stored practice sessions? This cannot be undone.')) return;
+		try {
+			await clearHistorySessions();
+		} catch (err) {
+			console.log('Could not clear practice history:', err.message);
+		}
+		await loadHistory();
+	});
+
+	loadHistory();
+});
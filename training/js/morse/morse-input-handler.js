@@ -7,12 +7,6 @@ class MorseInputHandler {
     this.keyer = keyer; // MorseKeyer instance to send key events to
     this.isActiveCallback = isActiveCallback; // Function to check if practice is active
 
-    // Keyboard mappings (vband USB adapter compatibility)
-    this.ditKey1 = 'ControlLeft';
-    this.dahKey1 = 'ControlRight';
-    this.ditKey2 = 'BracketLeft';  // [ key
-    this.dahKey2 = 'BracketRight'; // ] key
-
     // MIDI state
     this.midiAccess = null;
     this.midiInputs = [];
@@ -52,11 +46,8 @@ class MorseInputHandler {
       return; // Practice not active, ignore input
     }
 
-    // Check if this is a dit or dah key
-    const isDit = (event.code === this.ditKey1 || event.code === this.ditKey2);
-    const isDah = (event.code === this.dahKey1 || event.code === this.dahKey2);
-
-    if (!isDit && !isDah) {
+    // Check if this is a bound dit, dah or straight key (see key-binding-format.js)
+    if (!getKeyRole(getKeyBindings(), event.code)) {
       return; // Not a CW key
     }
 
@@ -249,14 +240,14 @@ class MorseInputHandler {
       // Adapter has done the keying logic, just pass audio through
       // Use mode 1 (straight key) to directly control sounder
       const event = {
-        code: this.ditKey1, // Doesn't matter which key code for straight mode
+        role: 'straight',
         preventDefault: () => {}
       };
       this.keyer.press(event, begin, 1); // Force mode 1 (straight key)
     } else {
       // Adapter is in pass-through mode, apply browser's keyer logic
       const event = {
-        code: (keyType === 'dit') ? this.ditKey1 : this.dahKey1,
+        role: swapPaddle(getKeyBindings(), keyType), // Paddle swap applies to MIDI paddles too
         preventDefault: () => {}
       };
       this.keyer.press(event, begin);
@@ -1,17 +1,12 @@
 // Morse Keyer - Handles keyboard/USB key input and iambic keyer modes
 // Simplified version for training tools (no ES6 modules)
+// Keys are mapped to dit/dah/straight by key-binding-format.js
 
 class MorseKeyer {
   constructor(sounder, decoder) {
     this.sounder = sounder; // MorseSounder instance
     this.decoder = decoder; // MorseDecoder instance
 
-    // Key mappings (compatible with vband USB interface)
-    this.ditKey1 = 'ControlLeft';
-    this.dahKey1 = 'ControlRight';
-    this.ditKey2 = 'BracketLeft';  // [ key
-    this.dahKey2 = 'BracketRight'; // ] key
-
     this.wpm = 20;
     this.unit = 60; // Length of dit in milliseconds
     this.mode = 7; // Vail adapter protocol: 1=straight, 5=ultimatic, 7=iambicA, 8=iambicB
@@ -66,6 +61,14 @@ class MorseKeyer {
   }
 
   press(event, down, mode = this.mode) {
+    // MIDI input passes its role; keyboard keys are looked up
+    const role = event.role || getKeyRole(getKeyBindings(), event.code);
+
+    // A bound straight key keys directly in any mode
+    if (role === 'straight') {
+      mode = 1;
+    }
+
     // Straight key mode
     if (mode === 1) {
       if (down) {
@@ -80,17 +83,13 @@ class MorseKeyer {
     }
 
     // Iambic modes - only process dit/dah keys
-    if (mode > 1 &&
-        event.code !== this.ditKey1 &&
-        event.code !== this.dahKey1 &&
-        event.code !== this.ditKey2 &&
-        event.code !== this.dahKey2) {
+    if (mode > 1 && role !== 'dit' && role !== 'dah') {
       return;
     }
 
     if (mode > 1) {
       let key = -1;
-      if (event.code === this.ditKey1 || event.code === this.ditKey2) {
+      if (role === 'dit') {
         key = 1; // dit
         if (down) {
           this.ditKeyState = 1;
@@ -100,7 +99,7 @@ class MorseKeyer {
           this.ditStop = Date.now();
         }
       }
-      if (event.code === this.dahKey1 || event.code === this.dahKey2) {
+      if (role === 'dah') {
         key = 2; // dah
         if (down) {
           this.dahKeyState = 1;
@@ -4,9 +4,11 @@
  * This adapter matches the Vail repeater decoder architecture:
  * - Buffer-based timing system (not timeout-based)
  * - Prosign detection (AR, BT, SK, BK, etc.)
+ * - Selectable alphabets (Cyrillic, Greek, Wabun, American Morse...)
  * - Adaptive timing with weighted averaging
  * - Word/character counting
  * - Speed calculation (WPM)
+ * - Raw key timings kept for the fist report (js/common/fist-report.js)
  *
  * @author Vail Training Tools
  * @license MIT
@@ -31,8 +33,8 @@ class MorseProAdapter {
 			'-..-.': '/', '-.--.': '(', '-.--.-': ')', '.-...': '&', '---...': ':',
 			'-.-.-.': ';', '-...-': '=', '.-.-.': '+', '-....-': '-', '..--.-': '_',
 			'.-..-.': '"', '...-..-': '$', '.--.-.': '@',
-			// Prosigns (special sequences sent as single characters)
-			'.-.-': '<AR>',     // End of message
+			// Prosigns (special sequences sent as single characters). <AR> and
+			// <KN> share patterns with + and ( and are decoded as those.
 			'-...-': '<BT>',    // Break / pause (same as = but treated as prosign)
 			'...-.-': '<SK>',   // End of contact
 			'-...-.-': '<BK>',  // Break-in
@@ -40,10 +42,13 @@ class MorseProAdapter {
 			'.--.-': '<AA>',    // New line
 			'.-...': '<AS>',    // Wait
 			'-.-.-': '<CT>',    // Start copying
-			'....-.': '<HH>',   // Error
+			'........': '<HH>', // Error
 			'...-...': '<SOS>', // Distress signal
 			'...---...': '<SOS>' // Alternative SOS
 		};
+		this.internationalMorseToChar = this.morseToChar;
+		this.alphabet = null;
+		this.landline = false;  // American Morse: long dashes and spaced elements
 
 		// Buffer-based timing (Vail decoder architecture)
 		this.lastKeyDownTime = null;
@@ -64,6 +69,7 @@ class MorseProAdapter {
 		this._ditDahThreshold = 0;
 		this._dahSpaceThreshold = 0;
 		this.updateThresholds();
+		this.setAlphabet(typeof getAlphabetId === 'function' ? getAlphabetId() : 'international');
 
 		// Statistics
 		this.totalCharacters = 0;
@@ -71,6 +77,11 @@ class MorseProAdapter {
 		this.sessionStartTime = null;
 		this.lastCharacterTime = null;
 		this.lastCharOutput = '';  // Track last character output (for space detection)
+
+		// Fist report: every measured key-down/key-up duration and the
+		// characters they decoded to
+		this.fistTimings = [];     // { duration (ms, + tone / - silence), unit (dit ms at the time), time }
+		this.fistCharacters = [];  // { char, morse, index (fistTimings length when decoded), unit, time }
 	}
 
 	/**
@@ -81,6 +92,50 @@ class MorseProAdapter {
 		this._ditDahThreshold = ((1 * this._ditLen) + (3 * this._ditLen)) / 2;
 		// Space threshold: midpoint between 3× dit and 7× dit = 5× dit
 		this._dahSpaceThreshold = ((3 * this._fditLen) + (7 * this._fditLen)) / 2;
+		// Landline spaces inside a character are 2× dit, so letters end later
+		this._letterThreshold = this.landline ? 2.5 * this._ditLen : this._ditDahThreshold;
+	}
+
+	/**
+	 * Decode with a different alphabet (see js/common/alphabets.js)
+	 * The alphabet's characters replace International ones with the same
+	 * pattern. Wabun starts in kana; SN switches to International and DO back.
+	 * @param {string} id - Alphabet id
+	 */
+	setAlphabet(id) {
+		this.alphabet = typeof getAlphabet === 'function' ? getAlphabet(id) : null;
+		this.landline = !!(this.alphabet && this.alphabet.landline);
+		this.shifted = false;
+		this.updateThresholds();
+
+		if (!this.alphabet) {
+			this.morseToChar = this.internationalMorseToChar;
+			return;
+		}
+		const table = getMorseDecodeTable(id);
+		this.morseToChar = this.landline ? table : { ...this.internationalMorseToChar, ...table };
+	}
+
+	/**
+	 * Handle the alphabet's shift prosigns (Wabun DO/SN)
+	 * @param {string} morse - Decoded pattern
+	 * @returns {boolean} True if the pattern was a shift and should not be output
+	 */
+	handleAlphabetShift(morse) {
+		const shift = this.alphabet && this.alphabet.shift;
+		if (!shift) return false;
+
+		if (morse === this.alphabet.code[shift.out]) {
+			this.shifted = true;
+			this.morseToChar = this.internationalMorseToChar;
+			return true;
+		}
+		if (morse === this.alphabet.code[shift.into]) {
+			this.shifted = false;
+			this.morseToChar = { ...this.internationalMorseToChar, ...getMorseDecodeTable() };
+			return true;
+		}
+		return false;
 	}
 
 	/**
@@ -117,7 +172,7 @@ class MorseProAdapter {
 			// Force flush by adding a long silence
 			if (this.lastKeyUpTime) {
 				const silenceDuration = -(Date.now() - this.lastKeyUpTime);
-				this.addTiming(silenceDuration);
+				this.addTiming(silenceDuration, false);
 			}
 		}, 2000);
 	}
@@ -126,10 +181,17 @@ class MorseProAdapter {
 	 * Add a timing to the buffer (Vail decoder line 160-185)
 	 * Positive durations = tone (dit/dah)
 	 * Negative durations = silence (gap)
+	 * @param {number} duration - Milliseconds
+	 * @param {boolean} measured - False for the auto-flush silence, which
+	 *   isn't a real key timing and is left out of the fist report
 	 */
-	addTiming(duration) {
+	addTiming(duration, measured = true) {
 		if (duration === 0) return;
 
+		if (measured && Math.abs(duration) > this.noiseThreshold) {
+			this.fistTimings.push({ duration: duration, unit: this._ditLen, time: Date.now() });
+		}
+
 		// Combine consecutive same-sign durations or filter noise
 		if (this.unusedTimes.length > 0) {
 			const last = this.unusedTimes[this.unusedTimes.length - 1];
@@ -148,7 +210,7 @@ class MorseProAdapter {
 		this.unusedTimes.push(duration);
 
 		// If we just received a character gap or longer, flush (Vail decoder line 181)
-		if (-duration >= this._ditDahThreshold) {
+		if (-duration >= this._letterThreshold) {
 			this.flush();
 		}
 	}
@@ -187,7 +249,7 @@ class MorseProAdapter {
 		const morse = this.timings2morse(this.unusedTimes);
 
 		// Decode morse to text (only process actual morse, not empty strings)
-		if (morse && morse.length > 0) {
+		if (morse && morse.length > 0 && !this.handleAlphabetShift(morse)) {
 			const char = this.morseToChar[morse] || '#';
 
 			// Update statistics
@@ -196,6 +258,13 @@ class MorseProAdapter {
 			}
 			this.lastCharacterTime = Date.now();
 			this.totalCharacters++;
+			this.fistCharacters.push({
+				char: char,
+				morse: morse,
+				index: this.fistTimings.length,
+				unit: this._ditLen,
+				time: Date.now()
+			});
 
 			// If there was a word gap BEFORE this character, output space first
 			if (this.pendingWordGap) {
@@ -204,8 +273,9 @@ class MorseProAdapter {
 				this.lastCharOutput = ' ';
 			}
 
-			// Then notify callback with the character
-			this.onCharacterCallback(char);
+			// Then notify callback with the character and the pattern it came
+			// from, so callers can match by pattern (<AR> and + are the same)
+			this.onCharacterCallback(char, morse);
 			this.lastCharOutput = char;
 		}
 
@@ -232,13 +302,15 @@ class MorseProAdapter {
 			let c = '';
 
 			if (d > 0) {
-				// Tone - dit or dah
+				// Tone - dit or dah (or a landline long dash)
 				if (d < this._ditDahThreshold) {
 					c = '.';
 					this.addDecode(d, '.');
-				} else {
+				} else if (!this.landline || d < 4 * this._ditLen) {
 					c = '-';
 					this.addDecode(d, '-');
+				} else {
+					c = d < 6 * this._ditLen ? '_' : '=';
 				}
 				ditdah += c;  // Only add dots and dashes to the morse string
 			} else {
@@ -274,7 +346,11 @@ class MorseProAdapter {
 				}
 
 				// Only check interior silences for word gaps
-				if (d < this._ditDahThreshold) {
+				if (this.landline && d >= 1.5 * this._ditLen && d < this._letterThreshold) {
+					// Landline space inside a character (C, O, R...)
+					console.log('    -> Inner space');
+					ditdah += ' ';
+				} else if (d < this._letterThreshold) {
 					// Inter-element gap (within character)
 					console.log('    -> Inter-element gap');
 					this.addDecode(d, '');
@@ -342,6 +418,26 @@ class MorseProAdapter {
 		}
 	}
 
+	/**
+	 * Timings and characters for the fist report (see analyzeFist())
+	 * @returns {Object} { timings, characters, table } - table maps patterns to characters
+	 */
+	getFistData() {
+		return {
+			timings: this.fistTimings.slice(),
+			characters: this.fistCharacters.slice(),
+			table: this.morseToChar
+		};
+	}
+
+	/**
+	 * Start a new fist report without resetting the decoder
+	 */
+	clearFistData() {
+		this.fistTimings = [];
+		this.fistCharacters = [];
+	}
+
 	/**
 	 * Calculate current Words Per Minute (WPM)
 	 * PARIS method: 50 dit units per word
@@ -383,6 +479,8 @@ class MorseProAdapter {
 		this.lastKeyUpTime = null;
 		this.pendingWordGap = false;
 		this.lastCharOutput = '';
+		this.clearFistData();
+		if (this.shifted) this.setAlphabet(typeof getAlphabetId === 'function' ? getAlphabetId() : 'international');
 	}
 
 	/**
@@ -5,7 +5,10 @@ class MorseSounder {
   constructor() {
     this.audioContext = null;
     this.oscillator = null;
+    this.source = null;
     this.gainNode = null;
+    this.toneShape = null;
+    this.outputMode = null;
     this.tone = 600;
     this.isOn = false;
   }
@@ -24,19 +27,28 @@ class MorseSounder {
   on() {
     if (this.isOn) return;
 
+    // Vibration and flash outputs (shared with played sequences in audio.js)
+    this.outputMode = getOutputMode();
+    setSignalOutput(true, this.outputMode);
+    if (!this.outputMode.sound) {
+      this.isOn = true;
+      return;
+    }
+
     const ctx = this.initAudio();
 
-    // Create new oscillator and gain node
-    this.oscillator = ctx.createOscillator();
+    // Create new oscillator and gain node, with the waveform and envelope
+    // from settings (shared with received audio in audio.js)
+    this.toneShape = getToneShape();
+    const source = createToneSource(ctx, this.tone, this.toneShape.waveform);
+    this.oscillator = source.oscillator;
+    this.source = source.output;
     this.gainNode = ctx.createGain();
 
-    this.oscillator.connect(this.gainNode);
-
-    this.oscillator.frequency.value = this.tone;
-    this.oscillator.type = 'sine';
+    this.source.connect(this.gainNode);
 
     // Always connect to destination for sidetone
-    // When recording, training.js patch will also connect oscillator to recordingGainNode
+    // When recording, training.js patch will also connect the source to recordingGainNode
     // Web Audio API allows one source to connect to multiple destinations
     this.gainNode.connect(ctx.destination);
 
@@ -44,33 +56,43 @@ class MorseSounder {
     const volumeSlider = document.getElementById('masterGain');
     const volume = volumeSlider ? (volumeSlider.value / 100) * 0.3 : 0.3;
 
-    // Envelope to avoid clicks (5ms attack)
-    const attackTime = 0.005;
+    // Envelope to avoid clicks (attack)
     const now = ctx.currentTime;
-
-    this.gainNode.gain.setValueAtTime(0, now);
-    this.gainNode.gain.linearRampToValueAtTime(volume, now + attackTime);
+    rampToneGain(this.gainNode.gain, 0, volume, now, this.toneShape.rise, this.toneShape.shape);
 
     this.oscillator.start(now);
     this.isOn = true;
   }
 
   off() {
-    if (!this.isOn || !this.oscillator) return;
+    if (!this.isOn) return;
+
+    setSignalOutput(false, this.outputMode);
+    if (!this.oscillator) {
+      this.isOn = false;
+      return;
+    }
 
     const ctx = this.audioContext;
-    const releaseTime = 0.005;
+    const releaseTime = this.toneShape.rise;
     const now = ctx.currentTime;
-
-    // Envelope to avoid clicks (5ms release)
-    this.gainNode.gain.setValueAtTime(this.gainNode.gain.value, now);
-    this.gainNode.gain.linearRampToValueAtTime(0, now + releaseTime);
+    const gain = this.gainNode.gain;
+
+    // Envelope to avoid clicks (release), from wherever the attack got to
+    const current = gain.value;
+    if (gain.cancelAndHoldAtTime) {
+      gain.cancelAndHoldAtTime(now);
+    } else {
+      gain.cancelScheduledValues(now);
+    }
+    rampToneGain(gain, current, 0, now, releaseTime, this.toneShape.shape);
 
     // Stop oscillator after release
     this.oscillator.stop(now + releaseTime);
 
     this.isOn = false;
     this.oscillator = null;
+    this.source = null;
     this.gainNode = null;
   }
 }
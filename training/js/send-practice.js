@@ -8,24 +8,38 @@ document.addEventListener('DOMContentLoaded', () => {
 	let sendPracticing = false;
 	let targetChar = '';
 	let sentChars = '';
+	let sentPatterns = []; // Morse pattern of each decoded character
 	let lastTargetChar = '';
 	let morseKeyer = null;
 	let morseDecoder = null;
 	let morseSounder = null;
 	let morseInputHandler = null;
+	const letters = getAlphabet().letters; // Letters of the selected alphabet
 
 	// Stats
 	let sendStats = {
 		attempts: 0,
-		correct: 0
+		correct: 0,
+		replays: 0
 	};
 
+	// Session being recorded to practice history
+	let historySession = null;
+
 	// Wake lock
 	let wakeLock = null;
 
 	// Delay before next character (ms)
 	let nextCharDelay = 1000;
 
+	// Paragraph drill in progress: { text, tokens, patterns, copied, copiedPatterns, startTime, endTime, done }
+	let paragraph = null;
+	const PARAGRAPH_SETTINGS_KEY = 'vailTrainingParagraphSettings';
+
+	// Echo mode: the target is played, not shown, until it has been sent back
+	let echo = null;                // Current echo target: { replays, revealed }
+	const ECHO_REVEAL_TIME = 2500;  // Minimum ms to read the answer after a miss
+
 	/**
 	 * Request screen wake lock to prevent display from sleeping
 	 */
@@ -66,6 +80,10 @@ document.addEventListener('DOMContentLoaded', () => {
 	const sentOutput = document.getElementById('sent-output');
 	const sendModeSelect = document.getElementById('send-mode');
 	const keyerModeSelect = document.getElementById('keyer-mode');
+	const paragraphSourceSelect = document.getElementById('paragraph-source');
+	const echoModeCheckbox = document.getElementById('echo-mode');
+	const replayBtn = document.getElementById('replay-btn');
+	const paragraphTextInput = document.getElementById('paragraph-text');
 
 	/**
 	 * Initialize morse input system
@@ -74,8 +92,8 @@ document.addEventListener('DOMContentLoaded', () => {
 		if (!morseDecoder) {
 			// Initialize MorseProAdapter (enhanced decoder)
 			morseDecoder = new MorseProAdapter(
-				(letter) => {
-					handleDecodedCharacter(letter);
+				(letter, morse) => {
+					handleDecodedCharacter(letter, morse);
 				},
 				(word) => {
 					// Word completed - ignore for Send Practice
@@ -116,41 +134,76 @@ document.addEventListener('DOMContentLoaded', () => {
 		}
 	}
 
+	/**
+	 * Morse pattern of each character of a target, ignoring spaces
+	 * Prosigns are one character: '<AR>' is '.-.-.'.
+	 * @param {string} text - Target text
+	 * @returns {string[]} Patterns (the character itself if it has no pattern)
+	 */
+	function getTargetPatterns(text) {
+		return getTargetTokens(text).map(token => getTokenMorse(token) || token);
+	}
+
+	/**
+	 * Characters and prosigns of a target, ignoring spaces
+	 * @param {string} text - Target text
+	 * @returns {string[]} Tokens, e.g. ['Q', 'R', 'L', '?', '<AS>']
+	 */
+	function getTargetTokens(text) {
+		return tokenizeMorseText(text.toUpperCase()).filter(token => token.trim() !== '');
+	}
+
 	/**
 	 * Handle decoded characters from morse input
+	 * @param {string} char - Decoded character, <XX> prosign or word space
+	 * @param {string} morse - Pattern it was decoded from (not for spaces)
 	 */
-	function handleDecodedCharacter(char) {
+	function handleDecodedCharacter(char, morse) {
 		if (!sendPracticing) return;
 
 		console.log('Decoded character:', char);
 
+		if (paragraph) {
+			followParagraph(char, morse);
+			return;
+		}
+		// Answer already shown - wait for the next target
+		if (echo && echo.revealed) return;
+
 		// Strip out spaces
 		if (char !== ' ') {
-			sentChars += char;
+			const pattern = morse || getTokenMorse(char) || char;
+			// The decoder gives + for <AR> and ( for <KN> - show the prosign
+			// when that is what the target asked for
+			const expected = getTargetTokens(targetChar)[sentPatterns.length];
+			sentChars += expected && getTokenMorse(expected) === pattern ? expected : char;
+			sentPatterns.push(pattern);
 			if (sentOutput) {
 				sentOutput.value = sentChars;
 			}
-
-			// Flash the send lamp
-			const sendLamp = document.querySelector('.send-lamp');
-			if (sendLamp) {
-				sendLamp.classList.add('active');
-				setTimeout(() => {
-					sendLamp.classList.remove('active');
-				}, 200);
-			}
+			flashSendLamp();
 		}
 
-		// Check if sent characters match target
-		const targetUpper = targetChar.toUpperCase();
+		// Check if sent characters match target by pattern, so the decoder's
+		// + matches an <AR> and <BT> an = (word spaces aren't decoded, so ignore them)
+		const targetUpper = targetChar.toUpperCase().replace(/\s+/g, '');
 		const sentUpper = sentChars.toUpperCase();
+		const targetPatterns = getTargetPatterns(targetChar);
+		const sentSoFar = sentPatterns.length;
+		const matchesSoFar = sentPatterns.every((pattern, i) => pattern === targetPatterns[i]);
 
-		if (sentUpper === targetUpper) {
+		if (sentSoFar === targetPatterns.length && matchesSoFar) {
 			// Correct!
 			console.log('Correct! Sent:', sentUpper, 'Target:', targetUpper);
 			sendStats.attempts++;
 			sendStats.correct++;
 			updateSendStats();
+			recordHistoryItem(historySession, targetUpper, sentUpper, true, getAttemptDetails());
+			recordAbbreviationAttempt(true);
+			if (echo) {
+				revealEchoTarget(true);
+				return;
+			}
 
 			// Show big green "CORRECT!" message
 			if (targetCharDisplay) {
@@ -159,6 +212,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
 				// Clear sent field
 				sentChars = '';
+				sentPatterns = [];
 				if (sentOutput) {
 					sentOutput.value = '';
 				}
@@ -171,14 +225,21 @@ document.addEventListener('DOMContentLoaded', () => {
 			} else {
 				// Fallback
 				sentChars = '';
+				sentPatterns = [];
 				if (sentOutput) sentOutput.value = '';
 				setTimeout(() => generateNewTarget(), nextCharDelay);
 			}
-		} else if (sentUpper.length >= targetChar.length) {
+		} else if (sentSoFar >= targetPatterns.length) {
 			// Wrong - sent enough characters but doesn't match
 			console.log('Wrong! Sent:', sentUpper, 'Target:', targetUpper);
 			sendStats.attempts++;
 			updateSendStats();
+			recordHistoryItem(historySession, targetUpper, sentUpper, false, getAttemptDetails());
+			recordAbbreviationAttempt(false);
+			if (echo) {
+				revealEchoTarget(false);
+				return;
+			}
 
 			// Show visual feedback
 			if (sentOutput) {
@@ -191,13 +252,20 @@ document.addEventListener('DOMContentLoaded', () => {
 			// Clear sent field after delay
 			setTimeout(() => {
 				sentChars = '';
+				sentPatterns = [];
 				if (sentOutput) sentOutput.value = '';
 			}, nextCharDelay);
-		} else if (!targetUpper.startsWith(sentUpper)) {
+		} else if (!matchesSoFar) {
 			// Wrong character in sequence
 			console.log('Wrong character! Sent:', sentUpper, 'Target:', targetUpper);
 			sendStats.attempts++;
 			updateSendStats();
+			recordHistoryItem(historySession, targetUpper, sentUpper, false, getAttemptDetails());
+			recordAbbreviationAttempt(false);
+			if (echo) {
+				revealEchoTarget(false);
+				return;
+			}
 
 			// Show visual feedback
 			if (sentOutput) {
@@ -210,11 +278,52 @@ document.addEventListener('DOMContentLoaded', () => {
 			// Clear sent field after delay
 			setTimeout(() => {
 				sentChars = '';
+				sentPatterns = [];
 				if (sentOutput) sentOutput.value = '';
 			}, nextCharDelay);
 		}
 	}
 
+	/**
+	 * Flash the send lamp for a decoded character
+	 */
+	function flashSendLamp() {
+		const sendLamp = document.querySelector('.send-lamp');
+		if (sendLamp) {
+			sendLamp.classList.add('active');
+			setTimeout(() => {
+				sendLamp.classList.remove('active');
+			}, 200);
+		}
+	}
+
+	/**
+	 * Track sending results per abbreviation in abbreviations mode
+	 * @param {boolean} correct - Whether the abbreviation was sent correctly
+	 */
+	function recordAbbreviationAttempt(correct) {
+		if (sendModeSelect && sendModeSelect.value === 'abbreviations') {
+			recordAbbreviationResult('sending', targetChar, correct);
+		}
+	}
+
+	/**
+	 * Extra history fields for an attempt
+	 */
+	function getAttemptDetails() {
+		const details = { wpm: getSendWpm() };
+		if (echo) details.replays = echo.replays;
+		return details;
+	}
+
+	/**
+	 * Current sending speed from the WPM slider
+	 */
+	function getSendWpm() {
+		const sendWpmSlider = document.getElementById('send-wpm');
+		return sendWpmSlider ? parseInt(sendWpmSlider.value) : 20;
+	}
+
 	/**
 	 * Update send practice stats display
 	 */
@@ -231,27 +340,253 @@ document.addEventListener('DOMContentLoaded', () => {
 				: 0;
 			accuracyEl.textContent = `${accuracy}%`;
 		}
+		const replaysEl = document.getElementById('stat-replays');
+		if (replaysEl) replaysEl.textContent = sendStats.replays;
+	}
+
+	/**
+	 * Escape text for use in HTML
+	 */
+	function escapeHtml(text) {
+		return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 	}
 
 	/**
-	 * Generate new target character
+	 * Text for a new paragraph drill from the selected source
+	 * @returns {string} Text to send (empty if there is no custom text)
+	 */
+	function getParagraphText() {
+		const source = paragraphSourceSelect ? paragraphSourceSelect.value : 'sentences';
+		if (source === 'qso') return generateQsoScript();
+		if (source === 'custom') {
+			// Keep only what can be sent
+			const tokens = tokenizeMorseText(normalizeCopyText(paragraphTextInput.value));
+			return tokens.filter(token => token === ' ' || getTokenMorse(token)).join('').replace(/\s+/g, ' ').trim();
+		}
+
+		// A few practice sentences in random order
+		const pool = practiceSentences.slice();
+		const picked = [];
+		for (let i = 0; i < 3 && pool.length > 0; i++) {
+			picked.push(pool.splice(Math.floor(Math.random() * pool.length), 1)[0]);
+		}
+		return picked.join(' ');
+	}
+
+	/**
+	 * Show a new paragraph to send
+	 * @returns {boolean} False if there is no text to send
+	 */
+	function startParagraph() {
+		const text = getParagraphText();
+		if (!text) return false;
+
+		const tokens = tokenizeMorseText(text);
+		paragraph = {
+			text: text,
+			tokens: tokens,
+			// Aligned by pattern, so a decoded + counts as an <AR>
+			patterns: tokens.map(token => token === ' ' ? ' ' : getTokenMorse(token) || token),
+			copied: [],
+			copiedPatterns: [],
+			startTime: null,
+			endTime: null,
+			done: false
+		};
+		targetChar = text;
+		lastTargetChar = text;
+		sentChars = '';
+		sentPatterns = [];
+		if (sentOutput) sentOutput.value = '';
+		renderParagraph([]);
+		return true;
+	}
+
+	/**
+	 * Follow the decoder through the paragraph
+	 * The decoded text so far is aligned against the start of the paragraph,
+	 * so a skipped or extra character doesn't throw off the rest.
+	 * @param {string} char - Decoded character, prosign or word space
+	 * @param {string} morse - Pattern it was decoded from
+	 */
+	function followParagraph(char, morse) {
+		if (paragraph.done) return;
+		// A word gap before the first character isn't part of the text
+		if (char === ' ' && paragraph.copied.length === 0) return;
+
+		if (char !== ' ') flashSendLamp();
+		if (!paragraph.startTime) paragraph.startTime = Date.now();
+		paragraph.endTime = Date.now();
+		paragraph.copied.push(char);
+		paragraph.copiedPatterns.push(char === ' ' ? ' ' : morse || getTokenMorse(char) || char);
+		if (sentOutput) {
+			sentOutput.value = paragraph.copied.join('');
+			sentOutput.scrollLeft = sentOutput.scrollWidth;
+		}
+
+		const ops = alignText(paragraph.patterns, paragraph.copiedPatterns, { partial: true });
+		const reached = ops.filter(op => op.type !== 'insert').length;
+		if (reached >= paragraph.tokens.length) {
+			finishParagraph();
+		} else {
+			renderParagraph(ops);
+		}
+	}
+
+	/**
+	 * Draw the paragraph marked up with what has been sent so far
+	 * @param {Object[]} ops - Alignment of the patterns from alignText()
+	 * @param {string} result - Optional HTML shown below the paragraph
+	 */
+	function renderParagraph(ops, result = '') {
+		if (!targetCharDisplay) return;
+
+		// The ops hold patterns - walk the text and decoded characters alongside
+		let html = '';
+		let position = 0;
+		let copiedIndex = 0;
+		for (const op of ops) {
+			if (op.type === 'insert') {
+				const extra = paragraph.copied[copiedIndex++];
+				// Extra word gaps aren't worth marking
+				if (extra !== ' ') {
+					html += `<span class="drill-extra" title="Extra character">${escapeHtml(extra)}</span>`;
+				}
+				continue;
+			}
+			const token = escapeHtml(paragraph.tokens[position++]);
+			if (op.type === 'match') {
+				copiedIndex++;
+				html += `<span class="drill-char is-correct">${token}</span>`;
+			} else if (op.type === 'substitute') {
+				html += `<span class="drill-char is-wrong" title="You sent ${escapeHtml(paragraph.copied[copiedIndex++])}">${token}</span>`;
+			} else {
+				html += `<span class="drill-char is-missed" title="Skipped">${token}</span>`;
+			}
+		}
+		paragraph.tokens.slice(position).forEach((token, i) => {
+			const next = i === 0 && !paragraph.done ? ' is-next' : '';
+			html += `<span class="drill-char${next}">${escapeHtml(token)}</span>`;
+		});
+
+		targetCharDisplay.innerHTML = `<div class="paragraph-drill">${html}</div>${result}`;
+	}
+
+	/**
+	 * Score the paragraph: accuracy over the whole text and sending speed
+	 * Anything not reached counts as skipped.
+	 */
+	function finishParagraph() {
+		paragraph.done = true;
+		const sent = paragraph.copied.join('');
+		const ops = alignText(paragraph.patterns, paragraph.copiedPatterns);
+		const summary = summarizeAlignment(ops);
+
+		// Characters per minute / 5, timed from the first to the last decoded character
+		const characters = paragraph.copied.filter(char => char !== ' ').length;
+		const minutes = (paragraph.endTime - paragraph.startTime) / 60000;
+		const wpm = minutes > 0 ? Math.round(characters / 5 / minutes) : null;
+
+		sendStats.attempts++;
+		if (summary.accuracy === 100) sendStats.correct++;
+		updateSendStats();
+		recordHistoryItem(historySession, paragraph.text, sent, summary.accuracy === 100, {
+			wpm: wpm,
+			accuracy: summary.accuracy
+		});
+
+		const details = `${summary.substitutions} wrong, ${summary.misses} skipped, ${summary.insertions} extra`;
+		const speed = wpm !== null ? ` at <strong>${wpm} WPM</strong>` : '';
+		const hint = sendPracticing ? ' Press Next for a new paragraph.' : '';
+		renderParagraph(ops, `<p class="paragraph-result"><strong>${summary.accuracy}%</strong> accuracy${speed} (${details}).${hint}</p>`);
+	}
+
+	/**
+	 * Generate a new target, played instead of shown in echo mode
 	 */
 	function generateNewTarget() {
+		showNewTarget();
+		if (sendPracticing && !paragraph && echoModeCheckbox && echoModeCheckbox.checked) {
+			startEcho();
+		} else {
+			echo = null;
+		}
+		if (replayBtn) replayBtn.disabled = !echo;
+	}
+
+	/**
+	 * Hide the target and play it
+	 */
+	function startEcho() {
+		echo = { replays: 0, revealed: false };
+		if (targetCharDisplay) {
+			targetCharDisplay.style.fontSize = '';
+			targetCharDisplay.innerHTML = '<span class="has-text-grey-light" style="font-size: 1.5rem;"><span class="icon"><i class="mdi mdi-headphones"></i></span> Listen, then send it back...</span>';
+		}
+		playMorseSequence(targetChar, getSendWpm(), '.send-lamp');
+	}
+
+	/**
+	 * Play the echo target again (counted)
+	 */
+	function replayEchoTarget() {
+		if (!echo || echo.revealed) return;
+		echo.replays++;
+		sendStats.replays++;
+		updateSendStats();
+		sentChars = '';
+		sentPatterns = [];
+		if (sentOutput) sentOutput.value = '';
+		playMorseSequence(targetChar, getSendWpm(), '.send-lamp');
+	}
+
+	/**
+	 * Show the echo target and what was decoded, then move on
+	 * @param {boolean} correct - Whether it was sent back correctly
+	 */
+	function revealEchoTarget(correct) {
+		echo.revealed = true;
+		stopMorseSequence();
+		if (replayBtn) replayBtn.disabled = true;
+
+		const sent = sentChars;
+		if (targetCharDisplay) {
+			const color = correct ? '#48c774' : '#f14668';
+			targetCharDisplay.style.fontSize = targetChar.length > 8 ? '2.5rem' : '4rem';
+			targetCharDisplay.innerHTML =
+				`<div style="color: ${color};">${correct ? '✓' : '✗'} ${escapeHtml(targetChar)}</div>` +
+				`<div class="has-text-grey-light" style="font-size: 1rem; font-weight: normal;">You sent: ${escapeHtml(sent)}</div>`;
+		}
+
+		setTimeout(() => {
+			sentChars = '';
+			sentPatterns = [];
+			if (sentOutput) sentOutput.value = '';
+			if (sendPracticing) generateNewTarget();
+		}, correct ? nextCharDelay : Math.max(nextCharDelay, ECHO_REVEAL_TIME));
+	}
+
+	/**
+	 * Pick and show a new target character, word or phrase
+	 */
+	function showNewTarget() {
 		if (!sendPracticing) return;
 
 		const mode = sendModeSelect ? sendModeSelect.value : 'letters';
 		let characters = '';
 		let newTarget = '';
+		paragraph = null;
+		if (targetCharDisplay) targetCharDisplay.style.fontSize = '';
 
 		switch (mode) {
 			case 'letters':
-				characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+				characters = letters;
 				break;
 			case 'numbers':
 				characters = '0123456789';
 				break;
 			case 'mixed':
-				characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+				characters = letters + '0123456789';
 				break;
 			case 'words':
 				// For words mode, pick a random word (avoid duplicates)
@@ -264,21 +599,102 @@ document.addEventListener('DOMContentLoaded', () => {
 					targetCharDisplay.innerHTML = targetChar;
 				}
 				return;
+			case 'callsigns':
+				// Worldwide callsign from the callsign settings
+				newTarget = generateCallsign();
+				targetChar = newTarget;
+				lastTargetChar = newTarget;
+				if (targetCharDisplay) {
+					targetCharDisplay.textContent = targetChar;
+					if (targetChar.length > 8) targetCharDisplay.style.fontSize = '4rem';
+				}
+				return;
+			case 'cwacademy':
+				// Characters, words, callsigns or phrases from a CW Academy session
+				const sessionNum = parseInt(document.getElementById('cwa-session').value);
+				const cwaContent = document.getElementById('cwa-content').value;
+				if (cwaContent === 'characters') {
+					const session = cwAcademySessions[sessionNum];
+					characters = session.chars + session.numbers;
+					break;
+				}
+				newTarget = generateCwaContent(sessionNum, cwaContent);
+				if (!newTarget) {
+					alert(`Session ${sessionNum} doesn't have enough characters for ${cwaContent} yet. Try Characters or a later session.`);
+					stopSendPractice();
+					return;
+				}
+				targetChar = newTarget;
+				lastTargetChar = newTarget;
+				if (targetCharDisplay) {
+					targetCharDisplay.textContent = targetChar;
+					if (targetChar.length > 12) targetCharDisplay.style.fontSize = '2.5rem';
+				}
+				return;
+			case 'abbreviations':
+				// Show a meaning - the abbreviation is what has to be sent
+				const abbreviation = pickAbbreviation('sending', 'all', lastTargetChar);
+				targetChar = abbreviation.text;
+				lastTargetChar = abbreviation.text;
+				if (targetCharDisplay) {
+					targetCharDisplay.textContent = abbreviation.meaning;
+					targetCharDisplay.style.fontSize = '2.5rem';
+				}
+				return;
+			case 'qcodes':
+				newTarget = generateQCode();
+				break;
+			case 'punctuation':
+				// Punctuation in context
+				newTarget = generatePunctuationPractice();
+				break;
+			case 'prosigns':
+				// Prosigns in context
+				newTarget = generateProsignPractice();
+				break;
+			case 'wordlist':
+				// Word or sentence from the selected custom list
+				newTarget = pickWordListItem(lastTargetChar);
+				if (!newTarget) {
+					alert('Please import or select a word list first!');
+					stopSendPractice();
+					return;
+				}
+				targetChar = newTarget;
+				lastTargetChar = newTarget;
+				if (targetCharDisplay) {
+					// Sentences need a smaller font to fit
+					targetCharDisplay.textContent = targetChar;
+					if (targetChar.length > 12) targetCharDisplay.style.fontSize = '2.5rem';
+				}
+				return;
+			case 'paragraph':
+				// Paragraph or QSO script, followed as it is sent
+				if (!startParagraph()) {
+					alert('Please enter some text to send first!');
+					stopSendPractice();
+				}
+				return;
 		}
 
 		// Pick random character (avoid duplicates)
-		if (characters.length > 1) {
-			let charPool = characters.split('').filter(c => c !== lastTargetChar).join('');
-			if (charPool.length === 0) charPool = characters;
-			newTarget = charPool.charAt(Math.floor(Math.random() * charPool.length));
-		} else {
-			newTarget = characters;
+		if (!newTarget) {
+			if (characters.length > 1) {
+				let charPool = characters.split('').filter(c => c !== lastTargetChar).join('');
+				if (charPool.length === 0) charPool = characters;
+				newTarget = charPool.charAt(Math.floor(Math.random() * charPool.length));
+			} else {
+				newTarget = characters;
+			}
 		}
 
 		targetChar = newTarget;
 		lastTargetChar = newTarget;
 		if (targetCharDisplay) {
-			targetCharDisplay.innerHTML = targetChar;
+			// Text, not HTML - phrases can contain <AR>-style prosigns
+			targetCharDisplay.textContent = targetChar;
+			if (targetChar.length > 12) targetCharDisplay.style.fontSize = '2.5rem';
+			else if (targetChar.length > 8) targetCharDisplay.style.fontSize = '4rem';
 		}
 	}
 
@@ -289,11 +705,13 @@ document.addEventListener('DOMContentLoaded', () => {
 		console.log('Starting send practice...');
 		sendPracticing = true;
 		sentChars = '';
+		sentPatterns = [];
 		lastTargetChar = '';
 
 		// Reset stats
 		sendStats.attempts = 0;
 		sendStats.correct = 0;
+		sendStats.replays = 0;
 		updateSendStats();
 
 		// Update UI
@@ -305,6 +723,13 @@ document.addEventListener('DOMContentLoaded', () => {
 		// Request wake lock to keep screen on during practice
 		requestWakeLock();
 
+		// Fist report covers this session only
+		if (morseDecoder) morseDecoder.clearFistData();
+		const fistReportBox = document.getElementById('fist-report-box');
+		if (fistReportBox) fistReportBox.style.display = 'none';
+
+		historySession = createHistorySession('send', sendModeSelect ? sendModeSelect.value : 'letters', getSendWpm());
+
 		// Generate first target
 		generateNewTarget();
 	}
@@ -319,11 +744,25 @@ document.addEventListener('DOMContentLoaded', () => {
 		// Release wake lock
 		releaseWakeLock();
 
+		stopMorseSequence();
+		echo = null;
+		if (replayBtn) replayBtn.disabled = true;
+
+		// Score a paragraph that was stopped part way, and leave the result showing
+		const paragraphResult = paragraph && (paragraph.done || paragraph.copied.length > 0);
+		if (paragraph && !paragraph.done && paragraph.copied.length > 0) finishParagraph();
+		paragraph = null;
+
+		finishHistorySession(historySession);
+		historySession = null;
+
+		if (morseDecoder) renderFistReport(morseDecoder.getFistData());
+
 		// Update UI
 		if (startSendBtn) startSendBtn.disabled = false;
 		if (stopSendBtn) stopSendBtn.disabled = true;
 		if (nextCharBtn) nextCharBtn.disabled = true;
-		if (targetCharDisplay) {
+		if (targetCharDisplay && !paragraphResult) {
 			targetCharDisplay.innerHTML = '<span class="has-text-grey-light" style="font-size: 1.5rem;">Press Start to begin...</span>';
 		}
 	}
@@ -337,12 +776,107 @@ document.addEventListener('DOMContentLoaded', () => {
 		stopSendBtn.addEventListener('click', stopSendPractice);
 	}
 
+	// Record each send mode as its own history session
+	const wordListPanel = document.getElementById('wordlist-settings');
+	const cwaPanel = document.getElementById('cwa-settings');
+	const callsignPanel = document.getElementById('callsign-settings');
+	const paragraphPanel = document.getElementById('paragraph-settings');
+	if (sendModeSelect) {
+		sendModeSelect.addEventListener('change', (e) => {
+			if (wordListPanel) {
+				wordListPanel.style.display = e.target.value === 'wordlist' ? 'block' : 'none';
+			}
+			if (cwaPanel) {
+				cwaPanel.style.display = e.target.value === 'cwacademy' ? 'block' : 'none';
+			}
+			if (callsignPanel) {
+				callsignPanel.style.display = e.target.value === 'callsigns' ? 'block' : 'none';
+			}
+			if (paragraphPanel) {
+				paragraphPanel.style.display = e.target.value === 'paragraph' ? 'block' : 'none';
+			}
+			if (sendPracticing) {
+				finishHistorySession(historySession);
+				historySession = createHistorySession('send', e.target.value, getSendWpm());
+			}
+		});
+	}
+
+	// Save the session if the page is closed mid-practice
+	window.addEventListener('pagehide', () => {
+		finishHistorySession(historySession);
+		historySession = null;
+	});
+
 	if (nextCharBtn) {
 		nextCharBtn.addEventListener('click', () => {
-			if (sendPracticing) {
+			if (!sendPracticing) return;
+			// Score a paragraph part way through before moving on
+			if (paragraph && !paragraph.done && paragraph.copied.length > 0) {
+				finishParagraph();
+				return;
+			}
+			generateNewTarget();
+		});
+	}
+
+	// Echo mode
+	if (echoModeCheckbox) {
+		const replaysItem = document.getElementById('stat-replays-item');
+		const updateEchoControls = () => {
+			if (replayBtn) replayBtn.style.display = echoModeCheckbox.checked ? '' : 'none';
+			if (replaysItem) replaysItem.style.display = echoModeCheckbox.checked ? '' : 'none';
+		};
+		echoModeCheckbox.checked = localStorage.getItem('vailTrainingSendEcho') === 'true';
+		echoModeCheckbox.addEventListener('change', () => {
+			localStorage.setItem('vailTrainingSendEcho', echoModeCheckbox.checked);
+			updateEchoControls();
+			// Switch the current target over
+			if (sendPracticing && !paragraph) {
+				sentChars = '';
+				sentPatterns = [];
+				if (sentOutput) sentOutput.value = '';
 				generateNewTarget();
 			}
 		});
+		updateEchoControls();
+	}
+
+	if (replayBtn) {
+		replayBtn.addEventListener('click', replayEchoTarget);
+	}
+
+	// Paragraph drill text source
+	if (paragraphSourceSelect) {
+		const paragraphTextField = document.getElementById('paragraph-text-field');
+		const saved = localStorage.getItem(PARAGRAPH_SETTINGS_KEY);
+		if (saved !== null) {
+			try {
+				const settings = JSON.parse(saved);
+				if (paragraphSourceSelect.querySelector(`option[value="${settings.source}"]`)) {
+					paragraphSourceSelect.value = settings.source;
+				}
+				if (typeof settings.text === 'string') paragraphTextInput.value = settings.text;
+			} catch (err) {
+				console.log('Ignoring invalid paragraph settings:', err.message);
+			}
+		}
+
+		const saveParagraphSettings = () => {
+			localStorage.setItem(PARAGRAPH_SETTINGS_KEY, JSON.stringify({
+				source: paragraphSourceSelect.value,
+				text: paragraphTextInput.value
+			}));
+		};
+		const updateParagraphTextField = () => {
+			paragraphTextField.style.display = paragraphSourceSelect.value === 'custom' ? 'block' : 'none';
+		};
+		paragraphSourceSelect.addEventListener('change', () => {
+			updateParagraphTextField();
+			saveParagraphSettings();
+		});
+		paragraphTextInput.addEventListener('change', saveParagraphSettings);
+		updateParagraphTextField();
 	}
 
 	// Keyer mode selector
@@ -0,0 +1,346 @@
+// Vail Training Tools - Text to CW
+// Render text to a WAV or MP3 file with OfflineAudioContext, using the same timing as live playback
+
+document.addEventListener('DOMContentLoaded', () => {
+	console.log('Text to CW module loading...');
+
+	const SETTINGS_KEY = 'vailTrainingTextToCwSettings';
+	const SAMPLE_RATE = 22050;     // plenty for tones under 1 kHz, and half the memory of 44.1 kHz
+	const MAX_DURATION = 30 * 60;  // seconds
+	const LEAD_IN = 0.5;           // seconds of silence at the start and end
+	const SIGNAL_LEVEL = 0.5;      // peak gain of the tones in the file
+
+	//==========================================
+	// SETTINGS
+	//==========================================
+
+	const textInput = document.getElementById('ttc-text');
+	const wpmSlider = document.getElementById('ttc-wpm');
+	const spacingSelect = document.getElementById('ttc-spacing');
+	const effectiveWpmSlider = document.getElementById('ttc-effective-wpm');
+	const effectiveWpmContainer = document.getElementById('ttc-effective-wpm-container');
+	const noiseSlider = document.getElementById('ttc-noise');
+	const unitSelect = document.getElementById('ttc-unit');
+	const repeatSlider = document.getElementById('ttc-repeat');
+	const pauseSlider = document.getElementById('ttc-pause');
+	const announceInput = document.getElementById('ttc-announce');
+	const announceModeSelect = document.getElementById('ttc-announce-mode');
+	const formatSelect = document.getElementById('ttc-format');
+	const previewBtn = document.getElementById('ttc-preview-btn');
+	const downloadBtn = document.getElementById('ttc-download-btn');
+	const statusText = document.getElementById('ttc-status');
+	const audioPreview = document.getElementById('ttc-audio');
+
+	const sliders = {
+		wpm: wpmSlider,
+		effectiveWpm: effectiveWpmSlider,
+		noise: noiseSlider,
+		repeat: repeatSlider,
+		pause: pauseSlider
+	};
+	const selects = {
+		spacing: spacingSelect,
+		unit: unitSelect,
+		announceMode: announceModeSelect,
+		format: formatSelect
+	};
+
+	const savedSettings = localStorage.getItem(SETTINGS_KEY);
+	if (savedSettings !== null) {
+		try {
+			const settings = JSON.parse(savedSettings);
+			for (const [key, element] of Object.entries({ ...sliders, ...selects })) {
+				if (settings[key] !== undefined) element.value = settings[key];
+			}
+			if (settings.announce !== undefined) announceInput.value = settings.announce;
+		} catch (err) {
+			console.log('Ignoring invalid text to CW settings:', err.message);
+		}
+	}
+
+	function saveTextToCwSettings() {
+		const settings = { announce: announceInput.value };
+		for (const [key, element] of Object.entries({ ...sliders, ...selects })) {
+			settings[key] = element.value;
+		}
+		localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+	}
+
+	function updateOutputs() {
+		for (const slider of Object.values(sliders)) {
+			const output = document.querySelector(`output[for="${slider.id}"]`);
+			if (output) output.textContent = slider.value;
+		}
+		effectiveWpmContainer.style.display = spacingSelect.value === 'standard' ? 'none' : 'block';
+		// Effective speed can't be faster than the character speed
+		if (parseInt(effectiveWpmSlider.value) > parseInt(wpmSlider.value)) {
+			effectiveWpmSlider.value = wpmSlider.value;
+		}
+		updateDuration();
+	}
+
+	for (const slider of Object.values(sliders)) {
+		slider.addEventListener('input', () => {
+			updateOutputs();
+			saveTextToCwSettings();
+		});
+	}
+	for (const element of [...Object.values(selects), announceInput]) {
+		element.addEventListener('change', () => {
+			updateOutputs();
+			saveTextToCwSettings();
+		});
+	}
+	textInput.addEventListener('input', updateDuration);
+
+	//==========================================
+	// SEGMENTS
+	//==========================================
+
+	/**
+	 * Format a duration in seconds as m:ss
+	 */
+	function formatDuration(seconds) {
+		const mins = Math.floor(seconds / 60);
+		const secs = Math.floor(seconds % 60);
+		return `${mins}:${String(secs).padStart(2, '0')}`;
+	}
+
+	function getTiming() {
+		const wpm = parseInt(wpmSlider.value);
+		if (spacingSelect.value === 'standard') return getTimingFromWPM(wpm);
+		return getTimingFromWPM(wpm, parseInt(effectiveWpmSlider.value), spacingSelect.value);
+	}
+
+	/**
+	 * Split the text into the pieces that are sent, repeated and announced
+	 * @returns {Object[]} Segments: { text, pause (seconds of silence after it) }
+	 */
+	function buildSegments() {
+		const text = textInput.value.trim();
+		if (!text) return [];
+
+		let units;
+		if (unitSelect.value === 'words') {
+			units = text.split(/\s+/);
+		} else if (unitSelect.value === 'lines') {
+			units = text.split(/\n+/).map(line => line.trim()).filter(line => line);
+		} else {
+			units = [text.replace(/\s+/g, ' ')];
+		}
+
+		const repeat = parseInt(repeatSlider.value);
+		const pause = parseFloat(pauseSlider.value);
+		const announce = announceInput.value.trim();
+		const announceMode = announce ? announceModeSelect.value : 'none';
+		const segments = [];
+
+		if (announceMode === 'start') {
+			segments.push({ text: announce, pause: pause });
+		}
+		for (const unit of units) {
+			if (announceMode === 'each') {
+				segments.push({ text: announce, pause: 0 });
+			}
+			for (let i = 0; i < repeat; i++) {
+				segments.push({ text: unit, pause: pause });
+			}
+		}
+		return segments;
+	}
+
+	/**
+	 * Length of the file in seconds
+	 * Segments are separated by a word gap plus their pause.
+	 * @param {Object[]} segments - From buildSegments()
+	 * @param {Object} timing - Timing from getTimingFromWPM()
+	 * @returns {number} Duration in seconds
+	 */
+	function measureSegments(segments, timing) {
+		let duration = LEAD_IN * 2;
+		segments.forEach((segment, i) => {
+			duration += measureMorseText(segment.text, timing);
+			if (i < segments.length - 1) duration += timing.wordGap / 1000 + segment.pause;
+		});
+		return duration;
+	}
+
+	function updateDuration() {
+		const segments = buildSegments();
+		const duration = segments.length > 0 ? measureSegments(segments, getTiming()) : 0;
+		document.getElementById('ttc-duration').textContent = formatDuration(duration);
+		document.getElementById('ttc-characters').textContent = textInput.value.replace(/\s/g, '').length;
+	}
+
+	//==========================================
+	// RENDERING
+	//==========================================
+
+	/**
+	 * Render the text offline
+	 * @returns {Promise<AudioBuffer|null>} Rendered audio, or null if there's nothing to render
+	 */
+	async function renderText() {
+		const segments = buildSegments();
+		if (segments.length === 0) {
+			alert('Please enter some text to convert!');
+			return null;
+		}
+
+		const timing = getTiming();
+		const duration = measureSegments(segments, timing);
+		if (duration > MAX_DURATION) {
+			alert(`That would be ${formatDuration(duration)} long. Please keep files under ${MAX_DURATION / 60} minutes.`);
+			return null;
+		}
+
+		const ctx = new OfflineAudioContext(1, Math.ceil(duration * SAMPLE_RATE), SAMPLE_RATE);
+		const output = { context: ctx, volume: SIGNAL_LEVEL };
+		const noise = parseInt(noiseSlider.value) / 100;
+		const toneOptions = noise > 0
+			? applyBandConditions({ noise: noise }, 0, duration - LEAD_IN, parseInt(wpmSlider.value), output)
+			: { ...output };
+
+		let time = LEAD_IN;
+		for (const segment of segments) {
+			time = scheduleMorseText(segment.text, timing, time, toneOptions);
+			time += timing.wordGap / 1000 + segment.pause;
+		}
+
+		return ctx.startRendering();
+	}
+
+	/**
+	 * Convert Float32 audio (-1.0 to +1.0) to Int16 PCM
+	 */
+	function floatTo16BitPCM(input) {
+		const output = new Int16Array(input.length);
+		for (let i = 0; i < input.length; i++) {
+			const s = Math.max(-1, Math.min(1, input[i]));
+			output[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+		}
+		return output;
+	}
+
+	/**
+	 * Encode a mono buffer as a 16-bit WAV file
+	 * @param {AudioBuffer} buffer - Rendered audio
+	 * @returns {Blob} WAV file
+	 */
+	function encodeWav(buffer) {
+		const samples = floatTo16BitPCM(buffer.getChannelData(0));
+		const header = new DataView(new ArrayBuffer(44));
+		const writeString = (offset, text) => {
+			for (let i = 0; i < text.length; i++) header.setUint8(offset + i, text.charCodeAt(i));
+		};
+
+		writeString(0, 'RIFF');
+		header.setUint32(4, 36 + samples.length * 2, true);
+		writeString(8, 'WAVE');
+		writeString(12, 'fmt ');
+		header.setUint32(16, 16, true);                     // fmt chunk size
+		header.setUint16(20, 1, true);                      // PCM
+		header.setUint16(22, 1, true);                      // mono
+		header.setUint32(24, buffer.sampleRate, true);
+		header.setUint32(28, buffer.sampleRate * 2, true);  // bytes per second
+		header.setUint16(32, 2, true);                      // bytes per frame
+		header.setUint16(34, 16, true);                     // bits per sample
+		writeString(36, 'data');
+		header.setUint32(40, samples.length * 2, true);
+
+		return new Blob([header, samples], { type: 'audio/wav' });
+	}
+
+	/**
+	 * Encode a mono buffer as MP3 with lamejs
+	 * @param {AudioBuffer} buffer - Rendered audio
+	 * @returns {Blob} MP3 file
+	 */
+	function encodeMp3(buffer) {
+		if (typeof lamejs === 'undefined') {
+			throw new Error('lamejs library not loaded');
+		}
+
+		const samples = floatTo16BitPCM(buffer.getChannelData(0));
+		const mp3encoder = new lamejs.Mp3Encoder(1, buffer.sampleRate, 96);
+		const mp3Data = [];
+
+		const chunkSize = 1152; // LAME encoding frame size
+		for (let i = 0; i < samples.length; i += chunkSize) {
+			const mp3buf = mp3encoder.encodeBuffer(samples.subarray(i, i + chunkSize));
+			if (mp3buf.length > 0) mp3Data.push(mp3buf);
+		}
+		const mp3buf = mp3encoder.flush();
+		if (mp3buf.length > 0) mp3Data.push(mp3buf);
+
+		return new Blob(mp3Data, { type: 'audio/mp3' });
+	}
+
+	/**
+	 * Render and encode in the selected format
+	 * @returns {Promise<Blob|null>} Audio file, or null if nothing was rendered
+	 */
+	async function createAudioFile() {
+		previewBtn.disabled = true;
+		downloadBtn.disabled = true;
+		statusText.textContent = 'Rendering...';
+
+		try {
+			const buffer = await renderText();
+			if (!buffer) {
+				statusText.textContent = '';
+				return null;
+			}
+
+			statusText.textContent = 'Encoding...';
+			// Let the status update before the encoder blocks the page
+			await new Promise(resolve => setTimeout(resolve, 0));
+			const blob = formatSelect.value === 'mp3' ? encodeMp3(buffer) : encodeWav(buffer);
+			statusText.textContent = `${formatDuration(buffer.duration)}, ${(blob.size / 1024).toFixed(0)} KB`;
+			return blob;
+		} catch (err) {
+			console.error('Failed to create audio file:', err);
+			statusText.textContent = '';
+			alert('Failed to create audio file: ' + err.message);
+			return null;
+		} finally {
+			previewBtn.disabled = false;
+			downloadBtn.disabled = false;
+		}
+	}
+
+	previewBtn.addEventListener('click', async () => {
+		const blob = await createAudioFile();
+		if (!blob) return;
+
+		if (audioPreview.src) URL.revokeObjectURL(audioPreview.src);
+		audioPreview.src = URL.createObjectURL(blob);
+		audioPreview.style.display = 'block';
+		// A long render can outlast the click's permission to start audio
+		audioPreview.play().catch(err => {
+			console.log('Preview did not autoplay:', err.message);
+			statusText.textContent += ' - press play to listen';
+		});
+	});
+
+	downloadBtn.addEventListener('click', async () => {
+		const blob = await createAudioFile();
+		if (!blob) return;
+
+		const url = URL.createObjectURL(blob);
+		const a = document.createElement('a');
+		a.style.display = 'none';
+		a.href = url;
+		a.download = `vail-cw-${wpmSlider.value}wpm.${formatSelect.value}`;
+		document.body.appendChild(a);
+		a.click();
+
+		setTimeout(() => {
+			document.body.removeChild(a);
+			URL.revokeObjectURL(url);
+		}, 100);
+	});
+
+	updateOutputs();
+	console.log('Text to CW module loaded');
+});
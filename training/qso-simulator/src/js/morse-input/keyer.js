@@ -1,14 +1,22 @@
 import { restartAudioNeeded, restartAudio } from './sounder.js';
+// Shared with the training tools, where the bindings are set
+import {
+  KEY_BINDINGS_KEY,
+  loadKeyBindings,
+  getKeyRole,
+} from '../../../../js/common/key-binding-format.js';
 
 export class Keyer {
   constructor(sndr, decoder) {
     this.sndr = sndr; // Sounder instance
     this.decoder = decoder; // Decoder instance
-    // Using [ and ] for dits and dahs respectively for compatibility with the vband usb interface
-    this.ditKey1 = 'ControlLeft';
-    this.dahKey1 = 'ControlRight';
-    this.ditKey2 = 'BracketLeft';
-    this.dahKey2 = 'BracketRight';
+    // Keys are mapped to dit/dah/straight by training/js/common/key-binding-format.js
+    this.keyBindings = loadKeyBindings();
+    window.addEventListener('storage', (e) => {
+      if (e.key === KEY_BINDINGS_KEY || e.key === null) {
+        this.keyBindings = loadKeyBindings();
+      }
+    });
     this.wpm = 20;
     this.unit = 60; // length of dit in milliseconds; 60 is 20wpm
     this.mode = 2; // 1: straight key, 2: iambicA, 3: iambicB, 4: ultimatic
@@ -67,14 +75,11 @@ export class Keyer {
   }
 
   press(event, down, mode = this.mode) {
-    if (
-      mode > 1 &&
-      event.code != this.ditKey1 &&
-      event.code != this.dahKey1 &&
-      event.code != this.ditKey2 &&
-      event.code != this.dahKey2
-    )
-      return;
+    const role = getKeyRole(this.keyBindings, event.code);
+    // With no straight key bound, Straight Key mode keys on any key as it always has
+    if (!role && !(mode == 1 && this.keyBindings.straight.length == 0)) return;
+    // A bound straight key keys directly in any mode
+    if (role == 'straight') mode = 1;
     if (mode == 1) {
       if (down) {
         if (restartAudioNeeded()) {
@@ -89,7 +94,7 @@ export class Keyer {
       }
     } else if (mode > 1) {
       //console.log(key);
-      if (event.code == this.ditKey1 || event.code == this.ditKey2) {
+      if (role == 'dit') {
         if (down) {
           // dit key down
           this.ditKeyState = 1;
@@ -100,7 +105,7 @@ export class Keyer {
           this.ditStop = Date.now();
         }
       }
-      if (event.code == this.dahKey1 || event.code == this.dahKey2) {
+      if (role == 'dah') {
         if (down) {
           // dah key down
           this.dahKeyState = 1;